@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
+
+export class AssetLoadError extends Error {
+    constructor(url, cause) {
+        super(`Could not load ${url}${cause?.message ? `: ${cause.message}` : ''}`);
+        this.name = 'AssetLoadError';
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+// Central asset registry: one FBXLoader and TextureLoader on a shared THREE.LoadingManager,
+// a cache so every file is only downloaded once (even when the scene is rebuilt, e.g. after
+// loading a save game), and retries for flaky requests. Dispatches 'progress' events
+// ({ loaded, total }) as files finish, counting the textures FBX files pull in as well.
+export class AssetManager extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.manager = new THREE.LoadingManager();
+        this.fbxLoader = new FBXLoader(this.manager);
+        this.textureLoader = new THREE.TextureLoader(this.manager);
+        this.cache = new Map(); // Promise of the loaded asset, by url
+        this.maxRetries = 2; // Extra attempts after the first one fails
+        this.retryDelay = 1000; // Milliseconds before the first retry, doubled for each further one
+        this.loaded = 0;
+        this.total = 0;
+
+        this.manager.onProgress = (url, loaded, total) => {
+            this.loaded = loaded;
+            this.total = total;
+            this.dispatchEvent({ type: 'progress', loaded, total });
+        };
+    }
+
+    // Fraction of the files requested so far that are done
+    getProgress() {
+        return this.total === 0 ? 0 : this.loaded / this.total;
+    }
+
+    // Load through `loader`, retrying with a growing delay. Rejects with an AssetLoadError.
+    async loadWithRetries(loader, url) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            try {
+                return await loader.loadAsync(url);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw new AssetLoadError(url, lastError);
+    }
+
+    // Cached load: concurrent and later requests for the same url share one download.
+    // Failures are not cached, so asking again retries.
+    load(loader, url) {
+        if (!this.cache.has(url)) {
+            const promise = this.loadWithRetries(loader, url).catch((error) => {
+                this.cache.delete(url);
+                throw error;
+            });
+            this.cache.set(url, promise);
+        }
+        return this.cache.get(url);
+    }
+
+    // The loaded FBX scene. It is shared: clone it (or take care of its state) when using it
+    loadFBX(url) {
+        return this.load(this.fbxLoader, url);
+    }
+
+    loadTexture(url) {
+        return this.load(this.textureLoader, url);
+    }
+}
+
+// The one registry the game uses, so the cache outlives any single scene
+const assetManager = new AssetManager();
+export default assetManager;
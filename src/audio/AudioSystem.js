@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { DEFAULT_AUDIO_SETTINGS } from './audioSettings';
+import { createClickingBuffer, createFootstepBuffer, createHissBuffer, createWindBuffer } from './synth';
+
+// Browsers keep audio suspended until the page gets one of these
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+// Enemy states that make a cascarudo skitter instead of clicking idly
+const CHASE_STATES = ['notice', 'chase', 'attack'];
+
+// All game sound, through a THREE.AudioListener on the camera: a wind and snow bed
+// that follows the snowfall, the player's footsteps, and a positional clicking voice
+// on every cascarudo. Sounds go through a music (ambience) or an SFX gain, and the
+// listener's own gain is the master volume. Sound only plays while the game is
+// active; otherwise the audio context is suspended, which freezes everything in place.
+export default class AudioSystem {
+    constructor(camera, settings = DEFAULT_AUDIO_SETTINGS) {
+        this.camera = camera;
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+        this.context = this.listener.context;
+        this.musicGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain.connect(this.listener.getInput());
+        this.sfxGain.connect(this.listener.getInput());
+        this.active = false;
+        // Audio needs a user gesture first; one on an earlier scene counts as well
+        this.unlocked = this.context.state === 'running' || Boolean(navigator.userActivation?.hasBeenActive);
+        this.time = 0; // Seconds of active audio, drives the wind gusts
+        this.buffers = {
+            wind: createWindBuffer(this.context),
+            hiss: createHissBuffer(this.context),
+            footstep: createFootstepBuffer(this.context),
+            idleClicks: createClickingBuffer(this.context, 5),
+            chaseClicks: createClickingBuffer(this.context, 18)
+        };
+        this.setupAmbience();
+        this.footsteps = [0, 1, 2].map(() => this.createSound(THREE.Audio, this.sfxGain)); // Steps may overlap
+        this.nextFootstep = 0;
+        this.enemyVoices = new Map(); // { sound, buffer } by enemy id
+        this.setSettings(settings);
+
+        this.handleUnlock = () => this.unlock();
+        for (const type of UNLOCK_EVENTS) {
+            window.addEventListener(type, this.handleUnlock);
+        }
+    }
+
+    // A THREE.Audio or PositionalAudio routed through one of the channel gains
+    createSound(AudioClass, channel) {
+        const sound = new AudioClass(this.listener);
+        sound.gain.disconnect();
+        sound.gain.connect(channel);
+        return sound;
+    }
+
+    setupAmbience() {
+        this.windFilter = this.context.createBiquadFilter();
+        this.windFilter.type = 'lowpass';
+        this.wind = this.createSound(THREE.Audio, this.musicGain);
+        this.wind.setBuffer(this.buffers.wind);
+        this.wind.setLoop(true);
+        this.wind.setFilter(this.windFilter);
+
+        this.hissFilter = this.context.createBiquadFilter();
+        this.hissFilter.type = 'highpass';
+        this.hissFilter.frequency.value = 5000;
+        this.hiss = this.createSound(THREE.Audio, this.musicGain);
+        this.hiss.setBuffer(this.buffers.hiss);
+        this.hiss.setLoop(true);
+        this.hiss.setFilter(this.hissFilter);
+
+        this.setSnowIntensity(1);
+        this.wind.play();
+        this.hiss.play();
+    }
+
+    // { master, music, sfx, muted } as in audioSettings.js
+    setSettings({ master, music, sfx, muted }) {
+        this.listener.setMasterVolume(muted ? 0 : master);
+        this.musicGain.gain.setTargetAtTime(music, this.context.currentTime, 0.01);
+        this.sfxGain.gain.setTargetAtTime(sfx, this.context.currentTime, 0.01);
+    }
+
+    // Play while the game is being played; suspend (freezing every sound) otherwise
+    setActive(active) {
+        this.active = active;
+        if (active && this.unlocked) {
+            this.context.resume();
+        } else if (!active) {
+            this.context.suspend();
+        }
+    }
+
+    unlock() {
+        this.unlocked = true;
+        for (const type of UNLOCK_EVENTS) {
+            window.removeEventListener(type, this.handleUnlock);
+        }
+        if (this.active) {
+            this.context.resume();
+        }
+    }
+
+    // Louder, brighter wind the harder it snows (1 = regular snowfall), with slow gusts on top
+    setSnowIntensity(snowIntensity) {
+        const intensity = THREE.MathUtils.clamp(snowIntensity, 0, 2);
+        const gust = 0.75 + 0.25 * Math.sin(this.time * 0.31) * Math.sin(this.time * 0.13 + 1);
+        this.wind.setVolume(0.25 + 0.35 * intensity * gust);
+        this.windFilter.frequency.setTargetAtTime(250 + 450 * intensity * gust, this.context.currentTime, 0.1);
+        this.hiss.setVolume(0.03 * intensity);
+    }
+
+    playFootstep(running) {
+        const sound = this.footsteps[this.nextFootstep];
+        this.nextFootstep = (this.nextFootstep + 1) % this.footsteps.length;
+        if (sound.isPlaying) {
+            sound.stop();
+        }
+        sound.setBuffer(this.buffers.footstep);
+        sound.setPlaybackRate(0.85 + Math.random() * 0.3);
+        sound.setVolume(running ? 0.9 : 0.5);
+        sound.play();
+    }
+
+    // Give every enemy model a clicking voice that matches its state, and drop the
+    // voices of enemies that are gone. `enemyViews` is EnemySystem.views.
+    updateEnemyVoices(enemyViews, enemies) {
+        for (const [id, { model }] of enemyViews.entries()) {
+            const enemy = enemies.get(id);
+            if (!enemy) continue;
+
+            let voice = this.enemyVoices.get(id);
+            if (!voice) {
+                const sound = this.createSound(THREE.PositionalAudio, this.sfxGain);
+                sound.setRefDistance(4);
+                sound.setRolloffFactor(1.5);
+                sound.setLoop(true);
+                model.add(sound);
+                voice = { sound, buffer: null };
+                this.enemyVoices.set(id, voice);
+            }
+
+            const buffer = enemy.state === 'dead'
+                ? null
+                : (CHASE_STATES.includes(enemy.state) ? this.buffers.chaseClicks : this.buffers.idleClicks);
+            if (buffer !== voice.buffer) {
+                if (voice.sound.isPlaying) {
+                    voice.sound.stop();
+                }
+                voice.buffer = buffer;
+                if (buffer) {
+                    voice.sound.setBuffer(buffer);
+                    voice.sound.offset = Math.random() * buffer.duration; // Don't click in unison
+                    voice.sound.play();
+                }
+            }
+        }
+
+        for (const id of [...this.enemyVoices.keys()]) {
+            if (!enemyViews.has(id)) {
+                this.removeEnemyVoice(id);
+            }
+        }
+    }
+
+    removeEnemyVoice(id) {
+        const { sound } = this.enemyVoices.get(id);
+        if (sound.isPlaying) {
+            sound.stop();
+        }
+        sound.removeFromParent();
+        sound.gain.disconnect();
+        this.enemyVoices.delete(id);
+    }
+
+    update(deltaTime, { snowIntensity, enemyViews, enemies }) {
+        this.time += deltaTime;
+        this.setSnowIntensity(snowIntensity);
+        this.updateEnemyVoices(enemyViews, enemies);
+    }
+
+    dispose() {
+        for (const type of UNLOCK_EVENTS) {
+            window.removeEventListener(type, this.handleUnlock);
+        }
+        for (const id of [...this.enemyVoices.keys()]) {
+            this.removeEnemyVoice(id);
+        }
+        for (const sound of [this.wind, this.hiss, ...this.footsteps]) {
+            if (sound.isPlaying) {
+                sound.stop();
+            }
+            sound.gain.disconnect();
+        }
+        this.musicGain.disconnect();
+        this.sfxGain.disconnect();
+        this.listener.gain.disconnect();
+        this.camera.remove(this.listener);
+    }
+}
@@ -0,0 +1,38 @@
+// Volume settings, kept in localStorage like the control bindings. Volumes run
+// from 0 to 1; `music` is the ambient wind and snow bed, `sfx` everything else.
+
+const STORAGE_KEY = 'eternauta.audio';
+
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({
+    master: 0.8,
+    music: 0.6,
+    sfx: 0.8,
+    muted: false
+});
+
+// Load the saved settings, falling back to the defaults for anything missing or unreadable
+export function loadAudioSettings() {
+    const settings = { ...DEFAULT_AUDIO_SETTINGS };
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (saved) {
+            for (const channel of ['master', 'music', 'sfx']) {
+                if (Number.isFinite(saved[channel])) {
+                    settings[channel] = Math.min(1, Math.max(0, saved[channel]));
+                }
+            }
+            if (typeof saved.muted === 'boolean') settings.muted = saved.muted;
+        }
+    } catch (error) {
+        console.error('Error loading audio settings:', error);
+    }
+    return settings;
+}
+
+export function saveAudioSettings(settings) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving audio settings:', error);
+    }
+}
@@ -0,0 +1,74 @@
+// Sounds synthesized into AudioBuffers when the game starts, so there are no audio
+// files to download. Each buffer is a few seconds at most.
+
+// Brown noise: a random walk, which keeps the energy in the lows like wind
+export function createWindBuffer(context, seconds = 4) {
+    let value = 0;
+    return createLoopBuffer(context, seconds, () => {
+        value = (value + (Math.random() * 2 - 1) * 0.02) * 0.998;
+        return value * 3.5;
+    });
+}
+
+// White noise, filtered into a soft hiss of falling snow by the caller
+export function createHissBuffer(context, seconds = 2) {
+    return createLoopBuffer(context, seconds, () => Math.random() * 2 - 1);
+}
+
+// A boot crunching into snow: a short burst of noise with a fast attack, a few
+// crackles on top and an exponential decay
+export function createFootstepBuffer(context) {
+    const length = Math.floor(context.sampleRate * 0.18);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let lowpassed = 0;
+    for (let i = 0; i < length; i++) {
+        const t = i / context.sampleRate;
+        const envelope = Math.min(1, t / 0.004) * Math.exp(-t * 28);
+        lowpassed += ((Math.random() * 2 - 1) - lowpassed) * 0.35; // Dull the noise a little
+        const crackle = Math.random() < 0.004 ? (Math.random() * 2 - 1) * 2 : 0;
+        data[i] = (lowpassed + crackle) * envelope * 0.9;
+    }
+    return buffer;
+}
+
+// A loop of insect-like clicks at uneven intervals: short, high sine pings that
+// decay within a few milliseconds. `clicksPerSecond` sets how busy it sounds.
+export function createClickingBuffer(context, clicksPerSecond = 6, seconds = 2) {
+    const length = Math.floor(context.sampleRate * seconds);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    const clickLength = Math.floor(context.sampleRate * 0.012);
+    const clicks = Math.round(clicksPerSecond * seconds);
+
+    for (let click = 0; click < clicks; click++) {
+        const start = Math.floor(Math.random() * (length - clickLength));
+        const frequency = 2200 + Math.random() * 1800;
+        const amplitude = 0.4 + Math.random() * 0.5;
+        for (let i = 0; i < clickLength; i++) {
+            const t = i / context.sampleRate;
+            data[start + i] += Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 600) * amplitude;
+        }
+    }
+    return buffer;
+}
+
+// A buffer of `sample()` values that loops without a click: a little extra is
+// generated past the end and crossfaded into the start
+function createLoopBuffer(context, seconds, sample) {
+    const length = Math.floor(context.sampleRate * seconds);
+    const fadeLength = Math.floor(context.sampleRate * 0.05);
+    const samples = new Float32Array(length + fadeLength);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = sample();
+    }
+
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    data.set(samples.subarray(0, length));
+    for (let i = 0; i < fadeLength; i++) {
+        const fade = i / fadeLength;
+        data[i] = samples[i] * fade + samples[length + i] * (1 - fade);
+    }
+    return buffer;
+}
@@ -0,0 +1,86 @@
+import { useEffect } from 'react';
+
+const overlayStyle = {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    fontFamily: 'monospace',
+    color: '#fff'
+};
+
+const panelStyle = {
+    minWidth: '320px',
+    padding: '20px',
+    backgroundColor: 'rgba(20, 24, 30, 0.95)',
+    border: '1px solid rgba(255, 255, 255, 0.3)'
+};
+
+const actionButtonStyle = {
+    padding: '5px 10px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: 'none',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+const CHANNELS = [
+    { id: 'master', label: 'Master' },
+    { id: 'music', label: 'Music (wind & snow)' },
+    { id: 'sfx', label: 'Effects' }
+];
+
+// Volume sliders for each audio channel and a mute toggle. Changes apply right
+// away; Escape closes the menu.
+export default function AudioMenu({ settings, onChange, onClose }) {
+    // Capture phase, so the game never sees the Escape meant for the menu
+    useEffect(() => {
+        function onKeyDown(event) {
+            if (event.code !== 'Escape') return;
+            event.preventDefault();
+            event.stopPropagation();
+            onClose();
+        }
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => window.removeEventListener('keydown', onKeyDown, true);
+    }, [onClose]);
+
+    return (
+        <div style={overlayStyle}>
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Audio</h2>
+                {CHANNELS.map(({ id, label }) => (
+                    <label key={id} style={{ display: 'flex', alignItems: 'center', marginBottom: '10px' }}>
+                        <span style={{ flex: 1 }}>{label}</span>
+                        <input
+                            type="range"
+                            min={0}
+                            max={100}
+                            value={Math.round(settings[id] * 100)}
+                            disabled={settings.muted}
+                            onChange={(event) => onChange({ ...settings, [id]: Number(event.target.value) / 100 })}
+                        />
+                        <span style={{ width: '40px', textAlign: 'right' }}>{Math.round(settings[id] * 100)}</span>
+                    </label>
+                ))}
+                <label style={{ display: 'block', marginBottom: '10px' }}>
+                    <input
+                        type="checkbox"
+                        checked={settings.muted}
+                        onChange={(event) => onChange({ ...settings, muted: event.target.checked })}
+                    />
+                    {' '}Mute
+                </label>
+                <p style={{ color: '#aaa', fontSize: '12px' }}>
+                    Sound starts after the first click or key press. Escape closes this menu.
+                </p>
+                <div style={{ textAlign: 'right' }}>
+                    <button style={actionButtonStyle} onClick={onClose}>Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { CONTROLS, formatGamepadButton, formatKey, rebind } from '../input/bindings';
+
+const overlayStyle = {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    fontFamily: 'monospace',
+    color: '#fff'
+};
+
+const panelStyle = {
+    minWidth: '420px',
+    padding: '20px',
+    backgroundColor: 'rgba(20, 24, 30, 0.95)',
+    border: '1px solid rgba(255, 255, 255, 0.3)'
+};
+
+const bindingButtonStyle = {
+    width: '130px',
+    padding: '4px 8px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+const actionButtonStyle = {
+    padding: '5px 10px',
+    marginLeft: '10px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: 'none',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+// Lists every control with its keyboard and gamepad binding. Clicking a binding
+// waits for the next key or gamepad button; a binding already used by another
+// control is swapped with it. Escape cancels a capture or closes the menu.
+export default function ControlsMenu({ bindings, onChange, onReset, controlMode, onControlModeChange, onClose }) {
+    const [capturing, setCapturing] = useState(null); // { device, controlId } while waiting for input
+    const [message, setMessage] = useState('');
+
+    function applyBinding(device, controlId, code) {
+        const result = rebind(bindings, device, controlId, code);
+        const control = CONTROLS.find(({ id }) => id === controlId);
+        const name = device === 'keyboard' ? formatKey(code) : formatGamepadButton(code);
+        setMessage(result.swapped
+            ? `${name} was used by "${result.swapped.label}"; the two bindings were swapped.`
+            : `${control.label} is now ${name}.`);
+        setCapturing(null);
+        // Drop focus so a later Space or Enter doesn't click the binding button again
+        document.activeElement?.blur();
+        onChange(result.bindings);
+    }
+
+    // Escape closes the menu (or cancels a capture); a keyboard capture takes the next key
+    useEffect(() => {
+        function onKeyDown(event) {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                if (capturing) {
+                    setCapturing(null);
+                } else {
+                    onClose();
+                }
+                return;
+            }
+            if (capturing?.device === 'keyboard' && !event.repeat) {
+                applyBinding('keyboard', capturing.controlId, event.code);
+            }
+        }
+
+        // Capture phase, so the game and the page never see keys meant for the menu
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => window.removeEventListener('keydown', onKeyDown, true);
+    });
+
+    // A gamepad capture polls for the first button that goes down after it started
+    useEffect(() => {
+        if (capturing?.device !== 'gamepad' || !navigator.getGamepads) return undefined;
+
+        const heldAtStart = new Set();
+        for (const gamepad of navigator.getGamepads()) {
+            gamepad?.buttons.forEach((button, index) => {
+                if (button.pressed) heldAtStart.add(index);
+            });
+        }
+
+        let frame;
+        function poll() {
+            for (const gamepad of navigator.getGamepads()) {
+                if (!gamepad) continue;
+                const index = gamepad.buttons.findIndex((button, i) => button.pressed && !heldAtStart.has(i));
+                if (index !== -1) {
+                    applyBinding('gamepad', capturing.controlId, index);
+                    return;
+                }
+                gamepad.buttons.forEach((button, i) => {
+                    if (!button.pressed) heldAtStart.delete(i);
+                });
+            }
+            frame = requestAnimationFrame(poll);
+        }
+        frame = requestAnimationFrame(poll);
+        return () => cancelAnimationFrame(frame);
+    });
+
+    function renderBinding(device, controlId) {
+        const isCapturing = capturing?.device === device && capturing.controlId === controlId;
+        const code = bindings[device][controlId];
+        return (
+            <button
+                style={{ ...bindingButtonStyle, borderColor: isCapturing ? '#cfe6ff' : '#555' }}
+                onClick={() => {
+                    setMessage('');
+                    setCapturing({ device, controlId });
+                }}
+            >
+                {isCapturing
+                    ? (device === 'keyboard' ? 'Press a key...' : 'Press a button...')
+                    : (device === 'keyboard' ? formatKey(code) : formatGamepadButton(code))}
+            </button>
+        );
+    }
+
+    return (
+        <div style={overlayStyle}>
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Controls</h2>
+                <div style={{ marginBottom: '10px' }}>
+                    Control scheme:
+                    {[['tank', 'Tank'], ['mouseLook', 'Mouse-look']].map(([mode, label]) => (
+                        <button
+                            key={mode}
+                            style={{ ...actionButtonStyle, backgroundColor: controlMode === mode ? '#556' : '#333' }}
+                            onClick={() => onControlModeChange(mode)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <table style={{ width: '100%', borderSpacing: '0 6px' }}>
+                    <thead>
+                        <tr>
+                            <th style={{ textAlign: 'left' }}>Action</th>
+                            <th>Keyboard</th>
+                            <th>Gamepad</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {CONTROLS.map(({ id, label }) => (
+                            <tr key={id}>
+                                <td>{label}</td>
+                                <td style={{ textAlign: 'center' }}>{renderBinding('keyboard', id)}</td>
+                                <td style={{ textAlign: 'center' }}>{renderBinding('gamepad', id)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p style={{ minHeight: '1.2em', color: '#cfe6ff' }}>{message}</p>
+                <p style={{ color: '#aaa', fontSize: '12px' }}>
+                    The left stick always moves and turns (strafes in mouse-look). In mouse-look,
+                    click the game to capture the mouse; the right stick also looks around.
+                    Escape closes this menu.
+                </p>
+                <div style={{ textAlign: 'right' }}>
+                    <button
+                        style={actionButtonStyle}
+                        onClick={() => {
+                            setCapturing(null);
+                            setMessage('Controls reset to defaults.');
+                            onReset();
+                        }}
+                    >
+                        Reset to defaults
+                    </button>
+                    <button style={actionButtonStyle} onClick={onClose}>Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import { useEffect } from 'react';
+
+const overlayStyle = {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    fontFamily: 'monospace',
+    color: '#fff'
+};
+
+const panelStyle = {
+    minWidth: '260px',
+    padding: '20px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'stretch',
+    backgroundColor: 'rgba(20, 24, 30, 0.95)',
+    border: '1px solid rgba(255, 255, 255, 0.3)'
+};
+
+const buttonStyle = {
+    marginTop: '8px',
+    padding: '6px 10px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: 'none',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+// The title, pause and game over screens: a heading, an optional line of text and
+// a column of buttons ({ label, onClick }). Escape calls onEscape, if given.
+export default function GameMenu({ title, message, items, onEscape }) {
+    // Capture phase, so the game's own Escape shortcut never sees the key while this is open
+    useEffect(() => {
+        if (!onEscape) return undefined;
+        function onKeyDown(event) {
+            if (event.code !== 'Escape') return;
+            event.preventDefault();
+            event.stopPropagation();
+            onEscape();
+        }
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => window.removeEventListener('keydown', onKeyDown, true);
+    }, [onEscape]);
+
+    return (
+        <div style={overlayStyle}>
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0, textAlign: 'center' }}>{title}</h2>
+                {message && <p style={{ marginTop: 0, color: '#aaa', textAlign: 'center' }}>{message}</p>}
+                {items.map(({ label, onClick }) => (
+                    <button key={label} style={buttonStyle} onClick={onClick}>{label}</button>
+                ))}
+            </div>
+        </div>
+    );
+}
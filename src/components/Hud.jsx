@@ -0,0 +1,213 @@
+import { forwardRef, useImperativeHandle, useRef } from 'react';
+import { WEATHER_STATES } from '../game/Weather';
+
+const MINIMAP_SIZE = 160; // Pixels
+const MINIMAP_RANGE = 60; // Meters from the player to the minimap's edge
+const COMPASS_WIDTH = 240; // Pixels
+const COMPASS_PIXELS_PER_DEGREE = 2;
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const panelStyle = {
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    border: '1px solid rgba(255, 255, 255, 0.6)'
+};
+
+const barStyle = {
+    ...panelStyle,
+    width: `${MINIMAP_SIZE}px`,
+    height: '10px',
+    marginTop: '6px'
+};
+
+const labelStyle = {
+    marginTop: '8px',
+    fontSize: '12px'
+};
+
+// Compass labels every 45 degrees, repeated on both sides so the strip never runs out while scrolling
+const compassMarks = [];
+for (let bearing = -360; bearing < 720; bearing += 45) {
+    compassMarks.push({ bearing, label: COMPASS_POINTS[((bearing / 45) % 8 + 8) % 8] });
+}
+
+// Heading (rotation.y, 0 looks along +Z and turning left is positive) as a compass
+// bearing in degrees: +Z is north and turning right goes north -> east
+function headingToBearing(heading) {
+    const degrees = -heading * 180 / Math.PI;
+    return ((degrees % 360) + 360) % 360;
+}
+
+// The time of day in hours as a 24-hour clock, e.g. 21:30
+function formatTimeOfDay(timeOfDay) {
+    const minutes = Math.floor(timeOfDay * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Health, ammo and exposure bars, a compass, the weather and time, and a north-up minimap over the scene.
+// Scene3D calls update() through the ref every frame, so the game loop drives the
+// HUD without re-rendering React.
+const Hud = forwardRef(function Hud(props, ref) {
+    const healthBarRef = useRef();
+    const healthTextRef = useRef();
+    const ammoBarRef = useRef();
+    const ammoTextRef = useRef();
+    const exposureBarRef = useRef();
+    const compassStripRef = useRef();
+    const weatherTextRef = useRef();
+    const minimapRef = useRef();
+
+    // state: { health, maxHealth, ammo, magazineSize, reserveAmmo, isReloading, exposure,
+    //          position, heading, buildings, enemies, weather } (see Scene3D's animation loop)
+    function update(state) {
+        healthBarRef.current.style.width = `${state.health / state.maxHealth * 100}%`;
+        setText(healthTextRef.current, `Health ${Math.ceil(state.health)}`);
+        ammoBarRef.current.style.width = `${state.ammo / state.magazineSize * 100}%`;
+        setText(ammoTextRef.current, state.isReloading
+            ? 'Reloading...'
+            : `Ammo ${state.ammo} / ${state.reserveAmmo}`);
+        exposureBarRef.current.style.width = `${state.exposure * 100}%`;
+
+        const bearing = headingToBearing(state.heading);
+        compassStripRef.current.style.transform =
+            `translateX(${COMPASS_WIDTH / 2 - bearing * COMPASS_PIXELS_PER_DEGREE}px)`;
+        setText(weatherTextRef.current,
+            `${WEATHER_STATES[state.weather.state].label}  ${formatTimeOfDay(state.weather.timeOfDay)}`);
+
+        drawMinimap(state, bearing);
+    }
+
+    // Only touch the DOM when the text actually changes
+    function setText(element, text) {
+        if (element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+
+    function drawMinimap({ position, buildings, enemies }, bearing) {
+        const context = minimapRef.current.getContext('2d');
+        const scale = MINIMAP_SIZE / 2 / MINIMAP_RANGE; // Pixels per meter
+        context.clearRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+        context.save();
+        context.translate(MINIMAP_SIZE / 2, MINIMAP_SIZE / 2);
+
+        // North (+Z) is up and east (-X) is right
+        const toMap = (x, z) => [-(x - position.x) * scale, -(z - position.z) * scale];
+
+        context.fillStyle = 'rgba(200, 205, 215, 0.7)';
+        for (const building of buildings.values()) {
+            const [x, y] = toMap(building.position.x, building.position.z);
+            const size = building.boxSize * scale;
+            context.fillRect(x - size / 2, y - size / 2, size, size);
+        }
+
+        for (const enemy of enemies.values()) {
+            const [x, y] = toMap(enemy.position.x, enemy.position.z);
+            context.fillStyle = enemy.state === 'dead' ? 'rgba(120, 120, 120, 0.8)' : '#ff5544';
+            context.beginPath();
+            context.arc(x, y, 3, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // The player: an arrow in the middle pointing along their bearing
+        context.rotate(bearing * Math.PI / 180);
+        context.fillStyle = '#cfe6ff';
+        context.beginPath();
+        context.moveTo(0, -7);
+        context.lineTo(5, 5);
+        context.lineTo(0, 2);
+        context.lineTo(-5, 5);
+        context.closePath();
+        context.fill();
+        context.restore();
+    }
+
+    useImperativeHandle(ref, () => ({ update }));
+
+    return (
+        <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none', fontFamily: 'monospace', color: '#fff' }}>
+            <div style={{ position: 'absolute', top: '10px', left: '10px' }}>
+                <canvas
+                    ref={minimapRef}
+                    width={MINIMAP_SIZE}
+                    height={MINIMAP_SIZE}
+                    style={{ ...panelStyle, display: 'block', borderRadius: '50%' }}
+                />
+                <div ref={healthTextRef} style={labelStyle} />
+                <div style={barStyle}>
+                    <div ref={healthBarRef} style={{ width: '100%', height: '100%', backgroundColor: '#d9534f' }} />
+                </div>
+                <div ref={ammoTextRef} style={labelStyle} />
+                <div style={barStyle}>
+                    <div ref={ammoBarRef} style={{ width: '100%', height: '100%', backgroundColor: '#e8c15a' }} />
+                </div>
+            </div>
+            <div
+                style={{
+                    ...panelStyle,
+                    position: 'absolute',
+                    top: '10px',
+                    left: '50%',
+                    transform: 'translateX(-50%)',
+                    width: `${COMPASS_WIDTH}px`,
+                    height: '24px',
+                    overflow: 'hidden'
+                }}
+            >
+                <div ref={compassStripRef} style={{ position: 'absolute', top: 0, left: 0 }}>
+                    {compassMarks.map(({ bearing, label }) => (
+                        <span
+                            key={bearing}
+                            style={{
+                                position: 'absolute',
+                                top: '4px',
+                                left: `${bearing * COMPASS_PIXELS_PER_DEGREE}px`,
+                                transform: 'translateX(-50%)',
+                                fontSize: '12px',
+                                color: label === 'N' ? '#ff5544' : '#fff'
+                            }}
+                        >
+                            {label}
+                        </span>
+                    ))}
+                </div>
+                <div
+                    style={{
+                        position: 'absolute',
+                        left: '50%',
+                        bottom: 0,
+                        width: '2px',
+                        height: '6px',
+                        marginLeft: '-1px',
+                        backgroundColor: '#cfe6ff'
+                    }}
+                />
+            </div>
+            <div
+                ref={weatherTextRef}
+                style={{
+                    position: 'absolute',
+                    top: '42px',
+                    left: '50%',
+                    transform: 'translateX(-50%)',
+                    fontSize: '12px',
+                    textShadow: '0 0 3px #000'
+                }}
+            />
+            <div
+                style={{
+                    ...panelStyle,
+                    position: 'absolute',
+                    bottom: '20px',
+                    left: '50%',
+                    transform: 'translateX(-50%)',
+                    width: '240px',
+                    height: '10px'
+                }}
+            >
+                <div ref={exposureBarRef} style={{ width: 0, height: '100%', backgroundColor: '#cfe6ff' }} />
+            </div>
+        </div>
+    );
+});
+
+export default Hud;
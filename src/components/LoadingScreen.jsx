@@ -0,0 +1,52 @@
+const overlayStyle = {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#111418',
+    fontFamily: 'monospace',
+    color: '#fff'
+};
+
+const buttonStyle = {
+    marginTop: '16px',
+    padding: '5px 10px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: 'none',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+// Covers the scene while the models and textures load. On failure it shows
+// which asset is missing and lets the player try again.
+export default function LoadingScreen({ progress, error, onRetry }) {
+    return (
+        <div style={overlayStyle}>
+            <h2>El Eternauta</h2>
+            {error ? (
+                <>
+                    <p style={{ color: '#ff8877', maxWidth: '480px', textAlign: 'center' }}>{error}</p>
+                    <p style={{ color: '#aaa' }}>Check your connection and try again.</p>
+                    <button style={buttonStyle} onClick={onRetry}>Retry</button>
+                </>
+            ) : (
+                <>
+                    <div
+                        style={{
+                            width: '240px',
+                            height: '10px',
+                            backgroundColor: 'rgba(0, 0, 0, 0.5)',
+                            border: '1px solid rgba(255, 255, 255, 0.6)'
+                        }}
+                    >
+                        <div style={{ width: `${progress * 100}%`, height: '100%', backgroundColor: '#cfe6ff' }} />
+                    </div>
+                    <p style={{ color: '#aaa' }}>Loading... {Math.round(progress * 100)}%</p>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+import { listSaves } from '../save/saveSlots';
+
+const overlayStyle = {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    fontFamily: 'monospace',
+    color: '#fff'
+};
+
+const panelStyle = {
+    minWidth: '480px',
+    padding: '20px',
+    backgroundColor: 'rgba(20, 24, 30, 0.95)',
+    border: '1px solid rgba(255, 255, 255, 0.3)'
+};
+
+const buttonStyle = {
+    padding: '4px 8px',
+    marginLeft: '6px',
+    backgroundColor: '#333',
+    color: '#fff',
+    border: 'none',
+    cursor: 'pointer',
+    fontFamily: 'inherit'
+};
+
+function describeSave(summary) {
+    if (!summary) return 'Empty';
+    const savedAt = summary.savedAt ? new Date(summary.savedAt).toLocaleString() : 'unknown time';
+    return `${savedAt} - seed ${summary.seed} - ${Math.round(summary.health)} HP`;
+}
+
+// Save slots, autosave, JSON export/import and new game. Escape closes the menu.
+export default function SaveMenu({ message, onSave, onLoad, onDelete, onExport, onImport, onNewGame, onClose }) {
+    const fileInputRef = useRef();
+    const saves = listSaves();
+
+    // Capture phase, so the game and the controls menu shortcut never see Escape while this is open
+    useEffect(() => {
+        function onKeyDown(event) {
+            if (event.code !== 'Escape') return;
+            event.preventDefault();
+            event.stopPropagation();
+            onClose();
+        }
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => window.removeEventListener('keydown', onKeyDown, true);
+    }, [onClose]);
+
+    return (
+        <div style={overlayStyle}>
+            <div style={panelStyle}>
+                <h2 style={{ marginTop: 0 }}>Save / Load</h2>
+                <table style={{ width: '100%', borderSpacing: '0 6px' }}>
+                    <tbody>
+                        {saves.map(({ id, label, summary }) => (
+                            <tr key={id}>
+                                <td>{label}</td>
+                                <td style={{ color: '#aaa' }}>{describeSave(summary)}</td>
+                                <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                                    {id !== 'autosave' && (
+                                        <button style={buttonStyle} onClick={() => onSave(id)}>Save</button>
+                                    )}
+                                    <button style={buttonStyle} disabled={!summary} onClick={() => onLoad(id)}>Load</button>
+                                    <button style={buttonStyle} disabled={!summary} onClick={() => onDelete(id)}>Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p style={{ minHeight: '1.2em', color: '#cfe6ff' }}>{message}</p>
+                <p style={{ color: '#aaa', fontSize: '12px' }}>
+                    The game autosaves every minute. Reloading the page carries on from the autosave
+                    unless a seed is given in the URL.
+                </p>
+                <div style={{ textAlign: 'right' }}>
+                    <button style={buttonStyle} onClick={onExport}>Export to file</button>
+                    <button style={buttonStyle} onClick={() => fileInputRef.current.click()}>Import from file</button>
+                    <button style={buttonStyle} onClick={onNewGame}>New game</button>
+                    <button style={buttonStyle} onClick={onClose}>Close</button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="application/json,.json"
+                        style={{ display: 'none' }}
+                        onChange={(event) => {
+                            const [file] = event.target.files;
+                            event.target.value = ''; // Picking the same file again should still import it
+                            if (file) onImport(file);
+                        }}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,37 +1,94 @@
-import { useEffect, useRef } from 'react';
+import { forwardRef, useEffect, useImperativeHandle, useReducer, useRef, useState } from 'react';
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import Stats from 'three/examples/jsm/libs/stats.module';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass';
 import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass';
+import Simulation from '../game/Simulation';
+import { nextGameState } from '../game/gameState';
+import { createRandom, hashSeed } from '../game/random';
+import {
+    CONTROLS,
+    DEFAULT_BINDINGS,
+    clearSavedBindings,
+    cloneBindings,
+    loadBindings,
+    loadControlMode,
+    saveBindings,
+    saveControlMode
+} from '../input/bindings';
+import assetManager from '../assets/AssetManager';
+import AudioSystem from '../audio/AudioSystem';
+import { loadAudioSettings, saveAudioSettings } from '../audio/audioSettings';
+import { resolveSceneConfig } from '../config/sceneConfig';
+import AudioMenu from './AudioMenu';
+import ControlsMenu from './ControlsMenu';
+import GameMenu from './GameMenu';
+import Hud from './Hud';
+import LoadingScreen from './LoadingScreen';
+import SaveMenu from './SaveMenu';
+import { deleteSave, exportSnapshot, importSnapshotFile, readSave, writeSave } from '../save/saveSlots';
+
+// Seconds between autosaves
+const AUTOSAVE_INTERVAL = 60;
+
+const WHITE = new THREE.Color(0xffffff);
+
+// Pick the world seed: explicit prop first, then the ?seed= URL parameter, otherwise a fresh random one
+function resolveWorldSeed(seedProp) {
+    return getExplicitSeed(seedProp) ?? String(Math.floor(Math.random() * 4294967296));
+}
+
+// The seed asked for by the prop or the ?seed= URL parameter, or null if neither is set
+function getExplicitSeed(seedProp) {
+    if (seedProp !== undefined && seedProp !== null && seedProp !== '') {
+        return String(seedProp);
+    }
+    return new URLSearchParams(window.location.search).get('seed') || null;
+}
+
+// First bone under `root` whose name matches `pattern`, or null
+function findBone(root, pattern) {
+    let found = null;
+    root.traverse((child) => {
+        if (!found && child.isBone && pattern.test(child.name)) {
+            found = child;
+        }
+    });
+    return found;
+}
 
+// Ground tiles around the player. `snowCover`, a SnowCoverSystem, lets snow settle on them.
 class InfiniteGround {
-    constructor(scene, textureUrl) {
+    constructor(scene, textureUrl, snowCover = null) {
         this.scene = scene;
+        this.textureUrl = textureUrl;
+        this.texture = null;
         this.tiles = new Map(); // Store active tiles
         this.tileSize = 40;
-        this.loadTexture(textureUrl);
+        // Every tile shares one geometry and material
+        this.geometry = new THREE.PlaneGeometry(this.tileSize, this.tileSize);
+        this.material = new THREE.MeshStandardMaterial({
+            roughness: 0.8,
+            metalness: 0.1
+        });
+        snowCover?.applyTo(this.material);
     }
 
-    loadTexture(url) {
-        const textureLoader = new THREE.TextureLoader();
-        this.texture = textureLoader.load(url);
+    async loadTexture() {
+        this.texture = await assetManager.loadTexture(this.textureUrl);
         this.texture.wrapS = THREE.RepeatWrapping;
         this.texture.wrapT = THREE.RepeatWrapping;
         this.texture.repeat.set(4, 4); // Each tile will have 4x4 texture repetitions
+        this.material.map = this.texture;
+        this.material.needsUpdate = true;
     }
 
     createTile(x, z) {
-        const geometry = new THREE.PlaneGeometry(this.tileSize, this.tileSize);
-        const material = new THREE.MeshStandardMaterial({
-            map: this.texture,
-            roughness: 0.8,
-            metalness: 0.1
-        });
-
-        const tile = new THREE.Mesh(geometry, material);
+        const tile = new THREE.Mesh(this.geometry, this.material);
         tile.rotation.x = -Math.PI / 2;
         tile.position.set(
             x * this.tileSize,
@@ -44,6 +101,8 @@ class InfiniteGround {
     }
 
     update(playerPosition) {
+        if (!this.texture) return;
+
         // Convert player position to tile coordinates
         const tileX = Math.floor(playerPosition.x / this.tileSize);
         const tileZ = Math.floor(playerPosition.z / this.tileSize);
@@ -67,111 +126,593 @@ class InfiniteGround {
             }
         }
     }
+
+    // The texture belongs to the shared asset cache, so it is left alone
+    dispose() {
+        for (const tile of this.tiles.values()) {
+            this.scene.remove(tile);
+        }
+        this.tiles.clear();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
 }
 
+// Snowflake shaders. Every flake keeps a fixed spot in a box of snow; the vertex
+// shader moves it by the fall and wind offsets and the sway, then wraps it back
+// into the box around the player, so the CPU only updates a few uniforms per frame.
+const SNOW_VERTEX_SHADER = `
+    uniform float uTime; // Seconds, wrapped to a whole number of sway periods
+    uniform vec3 uOffset; // How far the wind (x, z) and the fall (y) have carried the snow, wrapped
+    uniform vec3 uCenter; // The player, whom the box of snow stays around
+    uniform float uRange; // Meters across the box
+    uniform float uHeight; // Meters from the ground to the top of the box
+    uniform float uSway; // Meters of sideways sway
+    uniform float uSize; // Flake size in meters
+    uniform float uScale; // Half the drawing buffer height in pixels, for size attenuation
+    attribute float aSize;
+    attribute float aPhase;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vec3 flake = position + uOffset;
+        flake.x += sin(uTime * 0.5 + aPhase) * uSway;
+        flake.z += cos(uTime * 0.5 + aPhase) * uSway;
+
+        // Flakes that fall through the ground or get blown out of the box come back in on the other side
+        flake.xz = uCenter.xz + mod(flake.xz - uCenter.xz + uRange * 0.5, uRange) - uRange * 0.5;
+        flake.y = mod(flake.y, uHeight);
+
+        vec4 mvPosition = modelViewMatrix * vec4(flake, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = uSize * aSize * uScale / -mvPosition.z;
+        #include <fog_vertex>
+    }
+`;
+
+const SNOW_FRAGMENT_SHADER = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    #include <fog_pars_fragment>
+
+    void main() {
+        // A soft round flake rather than a square point
+        float alpha = (1.0 - smoothstep(0.15, 0.5, length(gl_PointCoord - 0.5))) * uOpacity;
+
+        // The flakes are added onto the scene, so instead of taking on the fog colour they fade out into it
+        #ifdef USE_FOG
+            #ifdef FOG_EXP2
+                float fogFactor = 1.0 - exp(-fogDensity * fogDensity * vFogDepth * vFogDepth);
+            #else
+                float fogFactor = smoothstep(fogNear, fogFar, vFogDepth);
+            #endif
+            alpha *= 1.0 - fogFactor;
+        #endif
+
+        gl_FragColor = vec4(uColor, alpha);
+    }
+`;
+
+// Snowflakes in a box around the player, blown by the Weather simulation's wind.
+// `snowCount` flakes show at a snowfall of 1; there are enough for twice that.
+// The flakes move on the GPU (see SNOW_VERTEX_SHADER), so even 50,000 of them cost
+// no JavaScript per frame.
 class SnowSystem {
-    constructor(scene) {
+    constructor(scene, seed, { snowCount = 3000, snowFallSpeed = 1.2 } = {}) {
         this.scene = scene;
         this.particles = null;
+        this.baseCount = snowCount;
+        this.particleCount = snowCount * 2;
+        this.range = 150; // Meters across the box of snow around the player
+        this.height = 50; // Meters from the ground to the top of the box
+        this.fallSpeed = snowFallSpeed; // Meters per second
+        this.swayDistance = 0.96; // Meters of sideways sway (0.48 meters per second at its fastest)
+        this.swayPeriod = 4 * Math.PI; // Seconds; the shader sways at half a radian per second
+        this.time = 0; // Seconds of simulated snowfall within one sway period
+        this.offset = new THREE.Vector3(); // Wind and fall displacement, kept within the box
+        this.random = createRandom(hashSeed(seed, 'snow'));
         this.init();
     }
 
     init() {
         const particleGeometry = new THREE.BufferGeometry();
-        const particleCount = 3000; // Increased particle count
+        const particleCount = this.particleCount;
         const posArray = new Float32Array(particleCount * 3);
+        const sizes = new Float32Array(particleCount);
+        const phases = new Float32Array(particleCount);
         
-        for(let i = 0; i < particleCount * 3; i += 3) {
-            posArray[i] = (Math.random() - 0.5) * 150;    // Wider x range
-            posArray[i + 1] = Math.random() * 50;         // Higher y range
-            posArray[i + 2] = (Math.random() - 0.5) * 150; // Wider z range
+        for (let i = 0; i < particleCount; i++) {
+            posArray[i * 3] = (this.random() - 0.5) * this.range;
+            posArray[i * 3 + 1] = this.random() * this.height;
+            posArray[i * 3 + 2] = (this.random() - 0.5) * this.range;
+            sizes[i] = 0.6 + this.random() * 0.8;
+            phases[i] = this.random() * Math.PI * 2;
         }
         
         particleGeometry.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
+        particleGeometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+        particleGeometry.setAttribute('aPhase', new THREE.BufferAttribute(phases, 1));
+        particleGeometry.setDrawRange(0, this.baseCount);
         
-        const particleMaterial = new THREE.PointsMaterial({
-            size: 0.2, // Increased from 0.15 to 0.2 for larger snowflakes
-            color: 0xffffff,
+        const particleMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                {
+                    uTime: { value: 0 },
+                    uOffset: { value: new THREE.Vector3() },
+                    uCenter: { value: new THREE.Vector3() },
+                    uRange: { value: this.range },
+                    uHeight: { value: this.height },
+                    uSway: { value: this.swayDistance },
+                    uSize: { value: 0.25 },
+                    uScale: { value: window.innerHeight / 2 },
+                    uColor: { value: new THREE.Color(0xffffff) },
+                    uOpacity: { value: 0.9 }
+                }
+            ]),
+            vertexShader: SNOW_VERTEX_SHADER,
+            fragmentShader: SNOW_FRAGMENT_SHADER,
             transparent: true,
-            opacity: 0.9, // Increased from 0.8 to 0.9 for more visible snow
-            blending: THREE.AdditiveBlending
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            fog: true
         });
         
         this.particles = new THREE.Points(particleGeometry, particleMaterial);
+        // The shader moves the flakes around the player, so the geometry's bounds mean nothing
+        this.particles.frustumCulled = false;
         this.scene.add(this.particles);
     }
 
-    update(playerPosition) {
+    // Flakes are sized in meters; this is the renderer's drawing buffer height in pixels
+    setViewportHeight(height) {
+        this.particles.material.uniforms.uScale.value = height / 2;
+    }
+
+    // `weather` is the Weather simulation: its snowfall sets how many flakes show
+    // and its wind blows them along
+    update(playerPosition, deltaTime, weather) {
         if (!this.particles) return;
-        
-        const positions = this.particles.geometry.attributes.position.array;
-        for(let i = 0; i < positions.length; i += 3) {
-            // Move particles down
-            positions[i + 1] -= 0.02; // Increased fall speed
-            
-            // Reset particles that fall below ground
-            if(positions[i + 1] < 0) {
-                // Reset around player position
-                positions[i] = playerPosition.x + (Math.random() - 0.5) * 150;
-                positions[i + 1] = 50;
-                positions[i + 2] = playerPosition.z + (Math.random() - 0.5) * 150;
+
+        // Wrapped on this side, so the shader never works with numbers big enough to lose precision
+        this.time = (this.time + deltaTime) % this.swayPeriod;
+        this.offset.x = (this.offset.x + weather.wind.x * deltaTime) % this.range;
+        this.offset.y = (this.offset.y - this.fallSpeed * deltaTime) % this.height;
+        this.offset.z = (this.offset.z + weather.wind.z * deltaTime) % this.range;
+
+        const { uniforms } = this.particles.material;
+        uniforms.uTime.value = this.time;
+        uniforms.uOffset.value.copy(this.offset);
+        uniforms.uCenter.value.copy(playerPosition);
+        this.particles.geometry.setDrawRange(0, Math.min(this.particleCount, Math.round(this.baseCount * weather.snowfall)));
+    }
+
+    dispose() {
+        this.scene.remove(this.particles);
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+        this.particles = null;
+    }
+}
+
+// Draws the Weather simulation's sky: fog density and colour, and the sun, ambient and
+// rim lights, which follow the time of day and dim under heavy cloud. The sun hangs
+// over the player so its shadows stay around them wherever they go.
+class SkySystem {
+    constructor(scene, { fogColor, fogDensity }, graphics) {
+        this.scene = scene;
+        this.fogDensity = fogDensity; // At a fogScale of 1
+        this.dayFogColor = new THREE.Color(fogColor);
+        this.nightFogColor = new THREE.Color(0x0a0c12);
+        this.whiteoutColor = new THREE.Color(0xc8ccd4);
+        this.sunsetColor = new THREE.Color(0xffb070);
+        this.intensities = graphics; // ambientIntensity, sunIntensity and rimIntensity at full daylight
+        this.sunDistance = 25; // Meters from the player to the sun light
+
+        scene.fog = new THREE.FogExp2(fogColor, fogDensity);
+        scene.background = new THREE.Color(fogColor); // The sky disappears into the fog
+
+        this.ambientLight = new THREE.AmbientLight(0xffffff, graphics.ambientIntensity);
+        scene.add(this.ambientLight);
+
+        this.sunLight = new THREE.DirectionalLight(0xffffff, graphics.sunIntensity);
+        this.sunLight.position.set(5, 10, 5);
+        this.sunLight.castShadow = true;
+        this.sunLight.shadow.mapSize.width = graphics.shadowMapSize;
+        this.sunLight.shadow.mapSize.height = graphics.shadowMapSize;
+        this.sunLight.shadow.camera.near = 0.5;
+        this.sunLight.shadow.camera.far = 50;
+        this.sunLight.shadow.bias = -0.0001;
+        this.sunLight.shadow.camera.left = -15;
+        this.sunLight.shadow.camera.right = 15;
+        this.sunLight.shadow.camera.top = 15;
+        this.sunLight.shadow.camera.bottom = -15;
+        scene.add(this.sunLight);
+        scene.add(this.sunLight.target);
+
+        // Some cold rim lighting, which stays on as moonlight at night
+        this.rimLight = new THREE.DirectionalLight(0x6699ff, graphics.rimIntensity);
+        this.rimLight.position.set(-5, 3, -5);
+        scene.add(this.rimLight);
+    }
+
+    update(weather, playerPosition) {
+        const { daylight } = weather;
+
+        // Fog: thicker and whiter the harder it snows, dark at night
+        this.scene.fog.density = this.fogDensity * weather.fogScale;
+        this.scene.fog.color
+            .copy(this.dayFogColor)
+            .lerp(this.whiteoutColor, weather.whiteout)
+            .lerp(this.nightFogColor, 1 - daylight);
+        this.scene.background.copy(this.scene.fog.color);
+
+        // Sun: warm low in the sky, white higher up. Below the horizon it still casts
+        // from just above it, so the shadows don't flip, but it is off by then.
+        const sunDirection = weather.sunDirection;
+        this.sunLight.color.copy(this.sunsetColor).lerp(WHITE, THREE.MathUtils.smoothstep(sunDirection.y, 0, 0.4));
+        this.sunLight.intensity = this.intensities.sunIntensity * daylight * weather.sunlight;
+        this.sunLight.position.set(sunDirection.x, Math.max(sunDirection.y, 0.2), sunDirection.z)
+            .normalize()
+            .multiplyScalar(this.sunDistance)
+            .add(playerPosition);
+        this.sunLight.target.position.copy(playerPosition);
+
+        this.ambientLight.intensity = this.intensities.ambientIntensity * (0.2 + 0.8 * daylight) * (0.6 + 0.4 * weather.sunlight);
+        this.rimLight.intensity = this.intensities.rimIntensity * (0.6 + 0.4 * daylight);
+    }
+
+    dispose() {
+        this.scene.remove(this.ambientLight, this.sunLight, this.sunLight.target, this.rimLight);
+        this.sunLight.dispose();
+        this.rimLight.dispose();
+        this.scene.fog = null;
+        this.scene.background = null;
+    }
+}
+
+// Snow on the ground and roofs, patched into the materials of InfiniteGround and
+// BuildingSystem. Upward-facing surfaces whiten in patches as the Weather
+// simulation's snowCover rises; on the ground, the trail texture (see
+// SnowCoverSystem) pushes the snow aside.
+const SNOW_COVER_VERTEX_PARS = `
+    varying vec3 vSnowWorldPosition;
+    varying vec3 vSnowWorldNormal;
+`;
+
+const SNOW_COVER_VERTEX = `
+    vec4 snowWorldPosition = vec4(transformed, 1.0);
+    vec3 snowWorldNormal = objectNormal;
+    #ifdef USE_INSTANCING
+        snowWorldPosition = instanceMatrix * snowWorldPosition;
+        snowWorldNormal = mat3(instanceMatrix) * snowWorldNormal;
+    #endif
+    vSnowWorldPosition = (modelMatrix * snowWorldPosition).xyz;
+    vSnowWorldNormal = mat3(modelMatrix) * snowWorldNormal;
+`;
+
+const SNOW_COVER_FRAGMENT_PARS = `
+    uniform float uSnowCover;
+    uniform vec3 uSnowColor;
+    uniform sampler2D uTrailMap;
+    uniform vec2 uTrailCenter;
+    uniform float uTrailSize;
+    varying vec3 vSnowWorldPosition;
+    varying vec3 vSnowWorldNormal;
+
+    float snowHash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    // Smooth value noise from 0 to 1
+    float snowNoise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(snowHash(i), snowHash(i + vec2(1.0, 0.0)), u.x),
+            mix(snowHash(i + vec2(0.0, 1.0)), snowHash(i + vec2(1.0, 1.0)), u.x),
+            u.y
+        );
+    }
+`;
+
+const SNOW_COVER_FRAGMENT = `
+    {
+        // Snow settles on what faces up, first in patches and then everywhere
+        float snowSlope = smoothstep(0.5, 0.85, normalize(vSnowWorldNormal).y);
+        float snowPatch = snowNoise(vSnowWorldPosition.xz * 0.15) * 0.6 + snowNoise(vSnowWorldPosition.xz * 0.8) * 0.4;
+        float snow = snowSlope * smoothstep(snowPatch * 0.7, snowPatch * 0.7 + 0.3, uSnowCover);
+
+        // Footprints and trails on the ground
+        vec2 trailUv = (vSnowWorldPosition.xz - uTrailCenter) / uTrailSize + 0.5;
+        if (vSnowWorldPosition.y < 0.5 && all(greaterThan(trailUv, vec2(0.0))) && all(lessThan(trailUv, vec2(1.0)))) {
+            snow *= 1.0 - 0.85 * texture2D(uTrailMap, trailUv).r;
+        }
+
+        diffuseColor.rgb = mix(diffuseColor.rgb, uSnowColor, snow);
+    }
+`;
+
+// Keeps the trail texture: a square of ground around the player where footprints
+// and enemy trails are drawn, ping-ponged between two render targets. Every so often
+// a pass fades the whole texture (the snow fills the prints back in) and, once the
+// player has walked far enough, shifts it to stay centered on them.
+const TRAIL_UPDATE_FRAGMENT_SHADER = `
+    uniform sampler2D uPrevious;
+    uniform vec2 uShift; // In texture coordinates
+    uniform float uFade;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 uv = vUv + uShift;
+        float trail = all(greaterThan(uv, vec2(0.0))) && all(lessThan(uv, vec2(1.0)))
+            ? texture2D(uPrevious, uv).r
+            : 0.0;
+        gl_FragColor = vec4(max(trail - uFade, 0.0), 0.0, 0.0, 1.0);
+    }
+`;
+
+const TRAIL_STAMP_FRAGMENT_SHADER = `
+    varying vec2 vUv;
+
+    void main() {
+        float print = 1.0 - smoothstep(0.25, 0.5, length(vUv - 0.5));
+        gl_FragColor = vec4(print, 0.0, 0.0, 1.0);
+    }
+`;
+
+const UV_VERTEX_SHADER = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        #ifdef USE_INSTANCING
+            gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+        #else
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #endif
+    }
+`;
+
+// Draws the Weather simulation's snow cover on the ground and roofs, and the
+// footprints the player and the cascarudos leave in it, which slowly fill back in.
+// `applyTo(material)` adds the snow to a material; the ground and buildings call it.
+class SnowCoverSystem {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.trailSize = 64; // Meters across the trail texture
+        this.trailResolution = 512; // Texels across
+        this.refillTime = 90; // Seconds for a fresh footprint to fill back in
+        this.fadeInterval = 0.5; // Seconds between fades, so each is big enough to register in the texture
+        this.fadeTimer = 0;
+        this.maxStamps = 64; // Footprints drawn per frame; more wait for the next one
+        this.stamps = []; // { x, z, radius } waiting to be drawn
+        this.enemyTrails = new Map(); // Where each enemy last left a print, by id
+        this.enemyStepDistance = 0.8; // Meters between an enemy's prints
+        this.enemyPrintRadius = 0.6;
+        this.trailCenter = new THREE.Vector2();
+        this.uniforms = {
+            uSnowCover: { value: 0 },
+            uSnowColor: { value: new THREE.Color(0xf4f7fb) },
+            uTrailMap: { value: null },
+            uTrailCenter: { value: this.trailCenter },
+            uTrailSize: { value: this.trailSize }
+        };
+
+        const targetOptions = { type: THREE.HalfFloatType, depthBuffer: false };
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(this.trailResolution, this.trailResolution, targetOptions));
+        this.uniforms.uTrailMap.value = this.targets[0].texture;
+        // Start without prints (and with textures the ground can sample straight away)
+        for (const target of this.targets) {
+            renderer.setRenderTarget(target);
+            renderer.clear();
+        }
+        renderer.setRenderTarget(null);
+
+        this.updateQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+            uniforms: {
+                uPrevious: { value: null },
+                uShift: { value: new THREE.Vector2() },
+                uFade: { value: 0 }
+            },
+            vertexShader: UV_VERTEX_SHADER,
+            fragmentShader: TRAIL_UPDATE_FRAGMENT_SHADER
+        }));
+
+        // Prints are quads seen from above by a camera spanning the trail texture;
+        // max blending keeps overlapping prints from adding up
+        const halfSize = this.trailSize / 2;
+        this.stampCamera = new THREE.OrthographicCamera(-halfSize, halfSize, halfSize, -halfSize, -1, 1);
+        this.stampMesh = new THREE.InstancedMesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.ShaderMaterial({
+                vertexShader: UV_VERTEX_SHADER,
+                fragmentShader: TRAIL_STAMP_FRAGMENT_SHADER,
+                blending: THREE.CustomBlending,
+                blendEquation: THREE.MaxEquation,
+                blendSrc: THREE.OneFactor,
+                blendDst: THREE.OneFactor,
+                depthTest: false,
+                depthWrite: false
+            }),
+            this.maxStamps
+        );
+        this.stampMesh.frustumCulled = false;
+        this.stampMatrix = new THREE.Matrix4();
+    }
+
+    // Patch the snow into a built-in lit material (standard, phong or lambert). The
+    // uniforms are shared, so every patched material follows the same snow cover.
+    applyTo(material) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>\n${SNOW_COVER_VERTEX_PARS}`)
+                .replace('#include <project_vertex>', `#include <project_vertex>\n${SNOW_COVER_VERTEX}`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${SNOW_COVER_FRAGMENT_PARS}`)
+                .replace('#include <map_fragment>', `#include <map_fragment>\n${SNOW_COVER_FRAGMENT}`);
+        };
+        material.needsUpdate = true;
+        return material;
+    }
+
+    // Leave a print `radius` meters across at (x, z)
+    addFootprint(x, z, radius = 0.3) {
+        this.stamps.push({ x, z, radius });
+    }
+
+    // `enemies` is the Enemies simulation's map; each living enemy leaves a trail of prints
+    updateEnemyTrails(enemies) {
+        for (const [id, enemy] of enemies.entries()) {
+            if (enemy.state === 'dead') continue;
+            const last = this.enemyTrails.get(id);
+            if (last && Math.hypot(enemy.position.x - last.x, enemy.position.z - last.z) < this.enemyStepDistance) continue;
+            this.enemyTrails.set(id, { x: enemy.position.x, z: enemy.position.z });
+            this.addFootprint(enemy.position.x, enemy.position.z, this.enemyPrintRadius);
+        }
+        for (const id of this.enemyTrails.keys()) {
+            if (!enemies.has(id)) {
+                this.enemyTrails.delete(id);
             }
-            
-            // Add slight horizontal movement
-            positions[i] += Math.sin(Date.now() * 0.0005 + i) * 0.008;
-            positions[i + 2] += Math.cos(Date.now() * 0.0005 + i) * 0.008;
         }
-        
-        this.particles.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Render the previous trail texture into the other target, faded and shifted, and swap
+    runUpdatePass(fade, shiftX, shiftZ) {
+        const [source, target] = this.targets;
+        const { uniforms } = this.updateQuad.material;
+        uniforms.uPrevious.value = source.texture;
+        uniforms.uShift.value.set(shiftX / this.trailSize, shiftZ / this.trailSize);
+        uniforms.uFade.value = fade;
+        this.renderer.setRenderTarget(target);
+        this.updateQuad.render(this.renderer);
+        this.targets = [target, source];
+        this.uniforms.uTrailMap.value = target.texture;
+    }
+
+    drawStamps() {
+        const stamps = this.stamps.splice(0, this.maxStamps);
+        stamps.forEach(({ x, z, radius }, index) => {
+            // The texture's v runs along +Z, like the camera's up
+            this.stampMatrix.makeScale(radius * 2, radius * 2, 1)
+                .setPosition(x - this.trailCenter.x, z - this.trailCenter.y, 0);
+            this.stampMesh.setMatrixAt(index, this.stampMatrix);
+        });
+        this.stampMesh.count = stamps.length;
+        this.stampMesh.instanceMatrix.needsUpdate = true;
+
+        const autoClear = this.renderer.autoClear;
+        this.renderer.autoClear = false;
+        this.renderer.setRenderTarget(this.targets[0]);
+        this.renderer.render(this.stampMesh, this.stampCamera);
+        this.renderer.autoClear = autoClear;
+    }
+
+    update(deltaTime, playerPosition, weather, enemies) {
+        this.uniforms.uSnowCover.value = weather.snowCover;
+        this.updateEnemyTrails(enemies);
+
+        // Stay centered on the player, moving in whole texels so the prints don't smear
+        const texel = this.trailSize / this.trailResolution;
+        let shiftX = 0;
+        let shiftZ = 0;
+        if (Math.abs(playerPosition.x - this.trailCenter.x) > this.trailSize / 4 ||
+            Math.abs(playerPosition.z - this.trailCenter.y) > this.trailSize / 4) {
+            shiftX = Math.round((playerPosition.x - this.trailCenter.x) / texel) * texel;
+            shiftZ = Math.round((playerPosition.z - this.trailCenter.y) / texel) * texel;
+        }
+
+        this.fadeTimer += deltaTime;
+        let fade = 0;
+        if (this.fadeTimer >= this.fadeInterval) {
+            fade = this.fadeTimer / this.refillTime;
+            this.fadeTimer = 0;
+        }
+
+        if (fade > 0 || shiftX !== 0 || shiftZ !== 0) {
+            this.trailCenter.x += shiftX;
+            this.trailCenter.y += shiftZ;
+            this.runUpdatePass(fade, shiftX, shiftZ);
+        }
+        if (this.stamps.length > 0) {
+            this.drawStamps();
+        }
+        this.renderer.setRenderTarget(null);
+    }
+
+    dispose() {
+        for (const target of this.targets) {
+            target.dispose();
+        }
+        this.updateQuad.material.dispose();
+        this.updateQuad.dispose();
+        this.stampMesh.geometry.dispose();
+        this.stampMesh.material.dispose();
+        this.stampMesh.dispose();
+        this.stamps = [];
+        this.enemyTrails.clear();
     }
 }
 
-class PlayerCharacter {
-    constructor(scene, buildingSystem) {
+// Draws the Player simulation: loads the character, plays its animations and
+// places the model between simulation steps. Dispatches a 'footstep' event
+// ({ running, position }) each time a foot lands in the walk and run clips;
+// `position` is the foot's world position, only valid during the event.
+class PlayerCharacter extends THREE.EventDispatcher {
+    constructor(scene, player) {
+        super();
         this.scene = scene;
-        this.buildingSystem = buildingSystem;
+        this.player = player;
         this.model = null;
         this.mixer = null;
         this.animations = {};
         this.currentAction = null;
-        this.position = new THREE.Vector3(0, 2, 0);
-        this.rotation = new THREE.Euler(0, 0, 0);
-        this.moveSpeed = 0.15; // Running speed
-        this.walkSpeed = 0.032; // Walking speed for backward movement (reduced by 60% from 0.08)
-        this.rotateSpeed = 0.015;
-        this.isMoving = false;
-        this.isJumping = false;
+        this.animationSerial = player.animationSerial; // Last animation change picked up from the simulation
         this.fps = 30;
-        this.radius = 1.5;
-        this.pendingMove = 0;
-        this.baseHeight = 2;
-        // Jump physics parameters
-        this.jumpVelocity = new THREE.Vector3();
-        this.jumpSpeed = 0.19;
-        this.jumpForwardSpeed = 0.35;
-        this.gravity = 0.006;
-        this.jumpDuration = 0;
-        this.maxJumpDuration = 90;
-        this.landingHeight = 2; // Explicit landing height
-    }
-
-    async load() {
-        const loader = new FBXLoader();
-        
+        this.oneShotAnimations = ['jump', 'hit', 'die'];
+        this.feet = null; // Left and right foot bones, to hear where they touch down
+        this.plantedFoot = null; // Index of the lower foot, which carries the weight
+        this.footstepDeadband = 0.02; // Height difference in meters before the other foot counts as planted
+        this.footPositions = [new THREE.Vector3(), new THREE.Vector3()];
+        this.loadPromise = null; // Promise of the model, shared by every call to load()
+    }
+
+    // Load the character once: calling again, e.g. when retrying after some other asset
+    // failed, gets the same model instead of adding a second one with its own mixer.
+    // A failed load is forgotten, so the next call tries again.
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadModel().catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    async loadModel() {
         try {
-            const [idleModel, runModel, walkModel, jumpModel] = await Promise.all([
-                loader.loadAsync('/assets/eternauta_idle.fbx'),
-                loader.loadAsync('/assets/eternauta_run.fbx'),
-                loader.loadAsync('/assets/eternauta_walk.fbx'),
-                loader.loadAsync('/assets/eternauta_jumping.fbx')
+            const [idleModel, runModel, walkModel, jumpModel, rifleModel, hitModel, dieModel] = await Promise.all([
+                assetManager.loadFBX('/assets/eternauta_idle.fbx'),
+                assetManager.loadFBX('/assets/eternauta_run.fbx'),
+                assetManager.loadFBX('/assets/eternauta_walk.fbx'),
+                assetManager.loadFBX('/assets/eternauta_jumping.fbx'),
+                assetManager.loadFBX('/assets/eternauta_rifle.fbx'),
+                assetManager.loadFBX('/assets/eternauta_hit.fbx'),
+                assetManager.loadFBX('/assets/eternauta_die.fbx')
             ]);
 
-            // Use the idle model as our base
+            // Use the idle model as our base. It comes from the shared asset cache,
+            // so undo anything a previous scene did to it (e.g. first person hid it)
             this.model = idleModel;
+            this.model.visible = true;
             
             // Scale and position the model
             this.model.scale.set(4, 4, 4);
-            this.model.position.copy(this.position);
+            this.model.position.copy(this.player.position);
+            this.model.rotation.y = this.player.rotation.y;
             
             // Make sure the model casts shadows and is well-lit
             this.model.traverse((child) => {
@@ -189,38 +730,28 @@ class PlayerCharacter {
 
             this.scene.add(this.model);
 
+            // Foot bones by their rig names (e.g. mixamorigLeftFoot)
+            const feet = [/LeftFoot$/, /RightFoot$/].map(pattern => findBone(this.model, pattern));
+            this.feet = feet.every(Boolean) ? feet : null;
+            if (!this.feet) {
+                console.warn('No foot bones found in the character model; footsteps will be silent');
+            }
+
             // Create animation mixer
             this.mixer = new THREE.AnimationMixer(this.model);
 
             // Store animations with adjusted timeScale
-            if (idleModel.animations && idleModel.animations.length > 0) {
-                const idleClip = idleModel.animations[0].clone();
-                idleClip.tracks = idleClip.tracks.filter(track => !track.name.includes('position'));
-                this.animations.idle = this.mixer.clipAction(idleClip);
-                this.animations.idle.timeScale = (30/60) * 0.24;
-                this.animations.idle.setLoop(THREE.LoopRepeat);
-            }
-            if (runModel.animations && runModel.animations.length > 0) {
-                const runClip = runModel.animations[0].clone();
-                runClip.tracks = runClip.tracks.filter(track => !track.name.includes('position'));
-                this.animations.run = this.mixer.clipAction(runClip);
-                this.animations.run.timeScale = (30/60) * 0.24;
-                this.animations.run.setLoop(THREE.LoopRepeat);
-            }
-            if (walkModel.animations && walkModel.animations.length > 0) {
-                const walkClip = walkModel.animations[0].clone();
-                walkClip.tracks = walkClip.tracks.filter(track => !track.name.includes('position'));
-                this.animations.walk = this.mixer.clipAction(walkClip);
-                this.animations.walk.timeScale = (30/60) * 0.24;
-                this.animations.walk.setLoop(THREE.LoopRepeat);
-            }
-            if (jumpModel.animations && jumpModel.animations.length > 0) {
-                const jumpClip = jumpModel.animations[0].clone();
-                jumpClip.tracks = jumpClip.tracks.filter(track => !track.name.includes('position'));
-                this.animations.jump = this.mixer.clipAction(jumpClip);
-                this.animations.jump.timeScale = (30/60) * 0.24;
-                this.animations.jump.setLoop(THREE.LoopOnce);
-                this.animations.jump.clampWhenFinished = true;
+            this.addAnimation('idle', idleModel);
+            this.addAnimation('run', runModel);
+            this.addAnimation('walk', walkModel);
+            this.addAnimation('jump', jumpModel);
+            this.addAnimation('rifle', rifleModel);
+            this.addAnimation('hit', hitModel);
+            this.addAnimation('die', dieModel);
+
+            // The simulation holds the flinch for as long as the hit clip actually plays
+            if (this.animations.hit) {
+                this.player.hurtDuration = this.getActionDuration(this.animations.hit);
             }
 
             // Set up initial animation
@@ -236,312 +767,796 @@ class PlayerCharacter {
         }
     }
 
-    update(deltaTime) {
-        if (this.mixer) {
-            const adjustedDeltaTime = deltaTime * (this.fps / 60);
-            this.mixer.update(adjustedDeltaTime);
+    // Create an action from the first clip of an FBX, stripping root motion
+    addAnimation(name, sourceModel) {
+        if (!sourceModel.animations || sourceModel.animations.length === 0) return;
+
+        const clip = sourceModel.animations[0].clone();
+        clip.tracks = clip.tracks.filter(track => !track.name.includes('position'));
+        const action = this.mixer.clipAction(clip);
+        action.timeScale = (30/60) * 0.24;
+        if (this.oneShotAnimations.includes(name)) {
+            action.setLoop(THREE.LoopOnce);
+            action.clampWhenFinished = true;
+        } else {
+            action.setLoop(THREE.LoopRepeat);
         }
+        this.animations[name] = action;
+    }
 
-        // Update jumping state
-        if (this.isJumping) {
-            this.jumpDuration++;
-            
-            // Apply gravity
-            this.jumpVelocity.y -= this.gravity;
-            
-            // Calculate new position
-            const newPosition = this.position.clone();
-            newPosition.y += this.jumpVelocity.y;
-            
-            // Move forward during jump with variable speed
-            const forwardVector = new THREE.Vector3();
-            const jumpProgress = this.jumpDuration / this.maxJumpDuration;
-            const currentForwardSpeed = this.jumpForwardSpeed * (1 - jumpProgress * 0.7);
-            forwardVector.setFromSpherical(new THREE.Spherical(
-                currentForwardSpeed,
-                Math.PI / 2,
-                this.rotation.y
-            ));
-            newPosition.add(forwardVector);
-
-            // Check for collisions before updating position
-            if (!this.buildingSystem?.checkCollision(newPosition, this.radius)) {
-                this.position.copy(newPosition);
-                this.model.position.copy(this.position);
-            } else {
-                // If collision detected, bounce back and end jump
-                this.jumpVelocity.y = -this.jumpVelocity.y * 0.5;
-                this.isJumping = false;
-                this.jumpDuration = 0;
-                this.position.y = this.landingHeight;
-                this.model.position.y = this.landingHeight;
-                this.setAnimation(this.isMoving ? 'run' : 'idle');
-            }
+    // Real seconds an action takes to play once, given its timeScale and our mixer rate
+    getActionDuration(action) {
+        return action.getClip().duration / (action.timeScale * (this.fps / 60));
+    }
 
-            // Check if landed or hit max duration
-            if (this.position.y <= this.landingHeight || this.jumpDuration >= this.maxJumpDuration) {
-                this.position.y = this.landingHeight;
-                this.model.position.y = this.landingHeight;
-                this.isJumping = false;
-                this.jumpDuration = 0;
-                this.setAnimation(this.isMoving ? 'run' : 'idle');
-            }
+    update(deltaTime) {
+        if (!this.mixer) return;
+
+        // Follow animation changes made by the simulation
+        if (this.animationSerial !== this.player.animationSerial) {
+            this.animationSerial = this.player.animationSerial;
+            this.setAnimation(this.player.animation);
         }
+
+        const adjustedDeltaTime = deltaTime * (this.fps / 60);
+        this.mixer.update(adjustedDeltaTime);
+        this.detectFootsteps();
     }
 
-    move(direction) {
-        if (!this.model) return;
-        
-        // Store the movement direction
-        this.pendingMove = direction;
-        
-        // Only update position if we're actually moving
-        if (this.isMoving) {
-            this.updatePosition();
+    // In the walk and run clips the lower foot is the one carrying the weight, so
+    // each time the other foot becomes the lower one it has just touched down.
+    // Bone world positions are from the last render, a frame behind at most.
+    detectFootsteps() {
+        const { animation, isJumping } = this.player;
+        if (!this.feet || isJumping || (animation !== 'walk' && animation !== 'run')) {
+            this.plantedFoot = null;
+            return;
         }
-    }
 
-    updatePosition() {
-        const moveVector = new THREE.Vector3();
-        // Use different speeds based on direction
-        const speed = this.pendingMove > 0 ? this.moveSpeed : this.walkSpeed;
-        moveVector.setFromSpherical(new THREE.Spherical(
-            speed,
-            Math.PI / 2,
-            this.rotation.y
-        ));
-        
-        // Calculate new position
-        const newPosition = this.position.clone().add(moveVector.multiplyScalar(this.pendingMove));
-        newPosition.y = this.position.y; // Keep the same height
+        const [left, right] = this.feet.map((foot, i) => foot.getWorldPosition(this.footPositions[i]).y);
+        if (Math.abs(left - right) < this.footstepDeadband) return;
+
+        const plantedFoot = left < right ? 0 : 1;
+        if (plantedFoot === this.plantedFoot) return;
 
-        // Check for collisions before updating position
-        if (!this.buildingSystem?.checkCollision(newPosition, this.radius)) {
-            this.position.copy(newPosition);
-            this.model.position.copy(this.position);
+        // The foot already down when the clip started doesn't make a sound
+        const landed = this.plantedFoot !== null;
+        this.plantedFoot = plantedFoot;
+        if (landed) {
+            this.dispatchEvent({ type: 'footstep', running: animation === 'run', position: this.footPositions[plantedFoot] });
         }
     }
 
-    rotate(direction) {
+    // Place the model between the last two simulation states; alpha is in [0, 1]
+    interpolate(alpha) {
         if (!this.model) return;
-        
-        this.rotation.y += direction * this.rotateSpeed;
-        this.model.rotation.y = this.rotation.y;
+
+        const { previousPosition, position, previousRotationY, rotation } = this.player;
+        this.model.position.lerpVectors(previousPosition, position, alpha);
+        this.model.rotation.y = THREE.MathUtils.lerp(previousRotationY, rotation.y, alpha);
     }
 
+    // Crossfade to an animation, restarting it if it is already playing
     setAnimation(animationName) {
-        if (!this.animations[animationName] || !this.currentAction) return;
-        if (this.currentAction === this.animations[animationName]) return;
-
         const newAction = this.animations[animationName];
-        const oldAction = this.currentAction;
-
-        // Update movement state
-        this.isMoving = animationName === 'run' || animationName === 'walk';
+        if (!newAction || !this.currentAction) return;
 
-        // If we're starting to move, update position immediately
-        if (this.isMoving && this.pendingMove !== 0) {
-            this.updatePosition();
+        if (this.currentAction === newAction) {
+            newAction.reset();
+            return;
         }
 
         // Ensure smooth transition between animations
+        const oldAction = this.currentAction;
         newAction.reset();
-        newAction.setLoop(animationName === 'jump' ? THREE.LoopOnce : THREE.LoopRepeat);
-        if (animationName === 'jump') {
-            newAction.clampWhenFinished = true;
-        }
         newAction.play();
         newAction.crossFadeFrom(oldAction, 0.2, true);
         this.currentAction = newAction;
     }
 
-    jump() {
-        if (!this.isJumping) {
-            this.isJumping = true;
-            this.jumpDuration = 0;
-            this.setAnimation('jump');
-            
-            // Initialize jump velocity
-            this.jumpVelocity.set(0, this.jumpSpeed, 0);
-        }
+    // The model and its clips belong to the shared asset cache, so they are
+    // only taken out of the scene; the next scene picks them up again
+    dispose() {
+        if (!this.model) return;
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.model);
+        this.scene.remove(this.model);
+        this.model = null;
+        this.mixer = null;
+        this.loadPromise = null;
     }
 }
 
+// Third-person camera on a boom behind the player. In 'follow' mode (tank controls)
+// the boom swings round to stay behind the player's heading; in 'orbit' mode
+// (mouse-look) the mouse or right stick sets its yaw and pitch. The boom can be
+// zoomed, moves over the shoulder while aiming, shortens along its own line when a
+// building is in the way, and can be swapped for a first-person view.
 class CameraController {
-    constructor(camera, target, buildingSystem) {
+    constructor(camera, target, city, player) {
         this.camera = camera;
-        this.target = target;
-        this.buildingSystem = buildingSystem;
-        this.offset = new THREE.Vector3(0, 3, 8);
+        this.target = target; // The player's model
+        this.city = city;
+        this.player = player; // The simulated player, for aiming
         this.smoothFactor = 0.1;
         this.baseHeight = 2;
-        this.raycaster = new THREE.Raycaster();
-        this.minDistance = 2; // Minimum distance from buildings
-        this.maxOffset = new THREE.Vector3(0, 5, 12); // Maximum camera offset when avoiding obstacles
-        this.currentOffset = this.offset.clone();
+        this.mode = 'follow'; // 'follow' stays behind the player, 'orbit' is mouse-look
+        this.yaw = 0; // Heading the camera looks along, same convention as the player's rotation.y
+        this.pitch = 0.35; // Radians, positive looks down on the player
+        this.followPitch = 0.35;
+        this.minPitch = -0.2;
+        this.maxPitch = 1.2;
+        this.firstPersonMinPitch = -1.2;
+        this.distance = 8; // Boom length the player zoomed to
+        this.minDistance = 3;
+        this.maxDistance = 14;
+        this.zoomSpeed = 0.01; // Boom length per wheel delta pixel
+        this.currentDistance = this.distance; // Boom length after occlusion, eased
+        this.pivotHeight = 1.5; // The boom hangs off this point above the player's base height
+        this.collisionMargin = 0.3; // Keep the camera this far in front of a wall
+        this.minBoomLength = 1; // Never pull in closer than this, even against a wall
+        // Over-the-shoulder view while aiming
+        this.shoulderDistance = 3;
+        this.shoulderOffset = 0.9; // Sideways from the pivot
+        this.shoulderSide = 1; // 1 = right shoulder, -1 = left
+        this.currentShoulder = 0; // Eased sideways offset
+        // First person
+        this.firstPerson = false;
+        this.eyeHeight = 1.8; // Above the player's position
+        this.mouseSensitivity = 0.0025; // Radians per pixel
+        this.stickLookSpeed = 2.5; // Radians per second at full right-stick deflection
+        this.yaw = this.target.rotation.y;
+        this.camera.position.copy(this.getPivot()).addScaledVector(this.getLookDirection(), -this.distance);
     }
 
-    checkCameraCollision(desiredPosition) {
-        if (!this.buildingSystem) return false;
+    // The boom keeps its current yaw and pitch, so switching modes doesn't jump
+    setMode(mode) {
+        this.mode = mode;
+    }
 
-        // Create a ray from the target to the camera
-        const direction = desiredPosition.clone().sub(this.target.position).normalize();
-        const distance = desiredPosition.distanceTo(this.target.position);
-        
-        this.raycaster.set(this.target.position, direction);
-        
-        // Check for collisions with buildings
-        for (const [key, { collisionBox }] of this.buildingSystem.buildings.entries()) {
-            const intersects = this.raycaster.intersectObject(collisionBox);
-            if (intersects.length > 0 && intersects[0].distance < distance) {
-                return true;
-            }
-        }
-        
-        return false;
-    }
-
-    findSafeCameraPosition() {
-        const targetPosition = this.target.position.clone();
-        targetPosition.y = this.baseHeight;
-
-        // Try different camera positions
-        const positions = [
-            this.offset.clone(),
-            new THREE.Vector3(0, 4, 10),
-            new THREE.Vector3(0, 5, 12),
-            new THREE.Vector3(0, 3, 6),
-            new THREE.Vector3(0, 2, 4)
-        ];
-
-        for (const offset of positions) {
-            const testPosition = targetPosition.clone().add(offset);
-            if (!this.checkCameraCollision(testPosition)) {
-                return offset;
-            }
+    setFirstPerson(firstPerson) {
+        this.firstPerson = firstPerson;
+        // The camera sits inside the head, so hide the body
+        this.target.visible = !firstPerson;
+        if (!firstPerson) {
+            this.pitch = THREE.MathUtils.clamp(this.pitch, this.minPitch, this.maxPitch);
         }
+    }
 
-        // If no safe position found, return the maximum offset
-        return this.maxOffset;
+    swapShoulder() {
+        this.shoulderSide = -this.shoulderSide;
     }
 
-    update() {
+    // Wheel delta in pixels; positive zooms out
+    zoom(delta) {
+        this.distance = THREE.MathUtils.clamp(this.distance + delta * this.zoomSpeed, this.minDistance, this.maxDistance);
+    }
+
+    // Turn the camera by mouse movement (pixels) and right-stick deflection (-1 to 1).
+    // Only mouse-look turns freely; the other modes follow the player's heading.
+    look(mouseDelta, stick, deltaTime) {
+        if (this.mode !== 'orbit') return;
+
+        this.yaw -= mouseDelta.x * this.mouseSensitivity + stick.x * this.stickLookSpeed * deltaTime;
+        this.pitch += mouseDelta.y * this.mouseSensitivity + stick.y * this.stickLookSpeed * deltaTime;
+        const minPitch = this.firstPerson ? this.firstPersonMinPitch : this.minPitch;
+        this.pitch = THREE.MathUtils.clamp(this.pitch, minPitch, this.maxPitch);
+    }
+
+    // Direction the camera looks in, from yaw and pitch
+    getLookDirection() {
+        return new THREE.Vector3(
+            Math.sin(this.yaw) * Math.cos(this.pitch),
+            -Math.sin(this.pitch),
+            Math.cos(this.yaw) * Math.cos(this.pitch)
+        );
+    }
+
+    getPivot() {
+        const pivot = this.target.position.clone();
+        pivot.y = this.baseHeight + this.pivotHeight; // Ignore jumps so the camera doesn't bob
+        return pivot;
+    }
+
+    // Longest boom up to `length` from `origin` along `direction` that stays clear of buildings
+    getClearLength(origin, direction, length) {
+        const hit = this.city?.raycast(origin, direction, length);
+        if (!hit) return length;
+        return Math.max(this.minBoomLength, hit.distance - this.collisionMargin);
+    }
+
+    updateFirstPerson() {
+        if (this.mode !== 'orbit') {
+            // Look straight along the player's heading
+            this.yaw = this.target.rotation.y;
+            this.pitch = 0;
+        }
+        this.camera.position.copy(this.target.position);
+        this.camera.position.y += this.eyeHeight;
+        this.camera.lookAt(this.camera.position.clone().add(this.getLookDirection()));
+    }
+
+    update(deltaTime) {
         if (!this.target || !this.target.position) return;
-        
-        // Calculate target position
-        const targetPosition = this.target.position.clone();
-        targetPosition.y = this.baseHeight;
 
-        // Find safe camera position
-        const safeOffset = this.findSafeCameraPosition();
-        
-        // Smoothly interpolate current offset to safe offset
-        this.currentOffset.lerp(safeOffset, this.smoothFactor);
-        
-        // Calculate desired camera position
-        const desiredPosition = targetPosition.clone().add(this.currentOffset);
+        if (this.firstPerson) {
+            this.updateFirstPerson();
+            return;
+        }
+
+        // smoothFactor is tuned per 60 Hz frame; convert it so smoothing is frame-rate independent
+        const smoothing = 1 - Math.pow(1 - this.smoothFactor, deltaTime * 60);
+
+        // Swing round behind the player by the shortest way
+        if (this.mode === 'follow') {
+            const difference = Math.atan2(
+                Math.sin(this.target.rotation.y - this.yaw),
+                Math.cos(this.target.rotation.y - this.yaw)
+            );
+            this.yaw += difference * smoothing;
+            this.pitch = THREE.MathUtils.lerp(this.pitch, this.followPitch, smoothing);
+        }
 
-        // Smoothly move camera
-        this.camera.position.lerp(desiredPosition, this.smoothFactor);
+        // Aiming pulls the camera in over a shoulder
+        const aiming = this.player?.isAiming;
+        const distance = aiming ? Math.min(this.shoulderDistance, this.distance) : this.distance;
+        const shoulder = aiming ? this.shoulderOffset * this.shoulderSide : 0;
+        this.currentShoulder = THREE.MathUtils.lerp(this.currentShoulder, shoulder, smoothing);
+
+        const lookDirection = this.getLookDirection();
+        const right = new THREE.Vector3(-Math.cos(this.yaw), 0, Math.sin(this.yaw));
+
+        // The boom runs from the pivot out to the shoulder, then backwards; each leg
+        // is shortened along its own line when a building is in the way
+        const pivot = this.getPivot();
+        const side = Math.sign(this.currentShoulder) || 1;
+        const shoulderLength = this.getClearLength(pivot, right.clone().multiplyScalar(side), Math.abs(this.currentShoulder));
+        const shoulderPoint = pivot.clone().addScaledVector(right, shoulderLength * side);
+        const backward = lookDirection.clone().negate();
+        const clearDistance = this.getClearLength(shoulderPoint, backward, distance);
+
+        // Pull in right away when something blocks the view, ease back out once it clears
+        if (clearDistance < this.currentDistance) {
+            this.currentDistance = clearDistance;
+        } else {
+            this.currentDistance = THREE.MathUtils.lerp(this.currentDistance, clearDistance, smoothing);
+        }
 
-        // Make camera look at target
-        this.camera.lookAt(targetPosition);
+        this.camera.position.copy(shoulderPoint).addScaledVector(backward, this.currentDistance);
+        this.camera.position.y = Math.max(this.camera.position.y, 0.5); // Stay above the ground
+        this.camera.lookAt(shoulderPoint.clone().add(lookDirection));
     }
 }
 
+// Actions the game understands. Axis actions range from -1 to 1, button actions are held or not.
+// lookX/lookY (right stick) only steer the camera in mouse-look mode.
+const AXIS_ACTIONS = ['moveForward', 'turn', 'lookX', 'lookY'];
+const BUTTON_ACTIONS = ['jump', 'fire', 'aim', 'reload', 'controlMode', 'shoulderSwap', 'firstPerson', 'debug', 'mute'];
+
+// The left stick always moves and turns (or strafes), the right stick looks around;
+// buttons come from the rebindable bindings
+const GAMEPAD_AXIS_BINDINGS = [
+    { action: 'moveForward', axis: 1, scale: -1 }, // Stick Y is negative when pushed up
+    { action: 'turn', axis: 0, scale: -1 }, // Stick X is positive when pushed right
+    { action: 'lookX', axis: 2, scale: 1 },
+    { action: 'lookY', axis: 3, scale: 1 }
+];
+
+// On-screen buttons shown next to the virtual joystick on touch devices
+const TOUCH_BUTTONS = [
+    { action: 'fire', label: 'FIRE' },
+    { action: 'aim', label: 'AIM' },
+    { action: 'jump', label: 'JUMP' },
+    { action: 'reload', label: 'R' }
+];
+
+// On-screen analog stick for touch devices. Dragging the knob sets x and y
+// from -1 to 1 (up and right are positive); letting go recenters it.
+class VirtualJoystick {
+    constructor(container) {
+        this.radius = 50; // Pixels the knob can travel from the center
+        this.x = 0;
+        this.y = 0;
+        this.pointerId = null;
+        this.center = { x: 0, y: 0 };
+
+        this.base = document.createElement('div');
+        this.base.style.position = 'absolute';
+        this.base.style.left = '30px';
+        this.base.style.bottom = '30px';
+        this.base.style.width = `${this.radius * 2}px`;
+        this.base.style.height = `${this.radius * 2}px`;
+        this.base.style.borderRadius = '50%';
+        this.base.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+        this.base.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        this.base.style.touchAction = 'none';
+
+        this.knob = document.createElement('div');
+        this.knob.style.position = 'absolute';
+        this.knob.style.left = `${this.radius - 25}px`;
+        this.knob.style.top = `${this.radius - 25}px`;
+        this.knob.style.width = '50px';
+        this.knob.style.height = '50px';
+        this.knob.style.borderRadius = '50%';
+        this.knob.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
+        this.knob.style.pointerEvents = 'none';
+        this.base.appendChild(this.knob);
+        container.appendChild(this.base);
+
+        this.base.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.base.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.base.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.base.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    onPointerDown(event) {
+        if (this.pointerId !== null) return;
+        this.pointerId = event.pointerId;
+        this.base.setPointerCapture(event.pointerId);
+
+        const rect = this.base.getBoundingClientRect();
+        this.center.x = rect.left + rect.width / 2;
+        this.center.y = rect.top + rect.height / 2;
+        this.onPointerMove(event);
+    }
+
+    onPointerMove(event) {
+        if (event.pointerId !== this.pointerId) return;
+
+        let dx = event.clientX - this.center.x;
+        let dy = event.clientY - this.center.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > this.radius) {
+            dx *= this.radius / distance;
+            dy *= this.radius / distance;
+        }
+        this.setKnob(dx, dy);
+    }
+
+    onPointerUp(event) {
+        if (event.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+        this.setKnob(0, 0);
+    }
+
+    setKnob(dx, dy) {
+        this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        this.x = dx / this.radius;
+        this.y = -dy / this.radius; // Screen Y grows downwards
+    }
+}
+
+// Maps keyboard, gamepad and touch input onto abstract actions through the
+// rebindable bindings (see input/bindings.js). Held buttons and axes are merged
+// across devices; presses are latched until they are consumed, so a quick tap
+// between two simulation steps isn't lost.
 class InputController {
-    constructor() {
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            jump: false
-        };
-        this.jumpPressed = false; // Track if jump was already triggered
+    constructor(container, bindings = loadBindings()) {
+        this.container = container;
+        this.enabled = true; // Off while a menu has the keyboard
+        this.mouseLook = false; // Turn keys strafe and the mouse steers the camera
+        this.mouseDelta = { x: 0, y: 0 }; // Pointer-locked mouse movement in pixels, until consumed
+        this.wheelDelta = 0; // Mouse wheel movement in pixels, until consumed
+        this.heldKeys = new Set(); // Key codes currently down
+        this.axes = Object.fromEntries(AXIS_ACTIONS.map(action => [action, 0]));
+        this.buttons = Object.fromEntries(BUTTON_ACTIONS.map(action => [action, false]));
+        this.pressed = new Set(); // Button actions pressed since they were last consumed
+        this.gamepadButtons = {}; // Controls held on the gamepad at the last poll
+        this.touchButtons = {}; // Button actions held on the on-screen buttons
+        this.joystick = null;
+        this.touchPanel = null;
+        this.deadZone = 0.15; // Stick deflection ignored as drift
+        this.setBindings(bindings);
         this.setupEventListeners();
+        if (this.isTouchDevice()) {
+            this.setupTouchControls();
+        }
     }
 
     setupEventListeners() {
-        window.addEventListener('keydown', (e) => this.onKeyDown(e));
-        window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        this.handleKeyDown = (e) => this.onKeyDown(e);
+        this.handleKeyUp = (e) => this.onKeyUp(e);
+        this.handleMouseMove = (e) => this.onMouseMove(e);
+        this.handleClick = (e) => this.onClick(e);
+        this.handleWheel = (e) => this.onWheel(e);
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        document.addEventListener('mousemove', this.handleMouseMove);
+        this.container.addEventListener('click', this.handleClick);
+        // Not passive: the wheel zooms the camera instead of scrolling the page
+        this.container.addEventListener('wheel', this.handleWheel, { passive: false });
+    }
+
+    // Stop listening and take the touch controls off the page
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('wheel', this.handleWheel);
+        this.releasePointer();
+        this.joystick?.base.remove();
+        this.touchPanel?.remove();
+    }
+
+    // Switch to a new set of bindings, e.g. after the player changed them in the controls menu
+    setBindings(bindings) {
+        this.bindings = bindings;
+        this.keyControls = new Map(); // Key code -> control
+        this.gamepadControls = new Map(); // Button index -> control
+        for (const control of CONTROLS) {
+            this.keyControls.set(bindings.keyboard[control.id], control);
+            this.gamepadControls.set(bindings.gamepad[control.id], control);
+        }
+        this.heldKeys.clear();
+    }
+
+    // Turn game input on or off, dropping anything held or pressed so nothing sticks
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.heldKeys.clear();
+        this.pressed.clear();
+        this.touchButtons = {};
+        if (!enabled) {
+            this.releasePointer();
+        }
+    }
+
+    // Switch between tank controls and mouse-look
+    setMouseLook(enabled) {
+        this.mouseLook = enabled;
+        this.mouseDelta.x = 0;
+        this.mouseDelta.y = 0;
+        if (!enabled) {
+            this.releasePointer();
+        }
+    }
+
+    releasePointer() {
+        if (document.pointerLockElement === this.container) {
+            document.exitPointerLock();
+        }
+    }
+
+    // In mouse-look mode, clicking the game view captures the mouse
+    onClick(event) {
+        if (!this.mouseLook || !this.enabled || event.target.tagName !== 'CANVAS') return;
+        if (document.pointerLockElement !== this.container) {
+            this.container.requestPointerLock();
+        }
+    }
+
+    onMouseMove(event) {
+        if (document.pointerLockElement !== this.container) return;
+        this.mouseDelta.x += event.movementX;
+        this.mouseDelta.y += event.movementY;
+    }
+
+    onWheel(event) {
+        if (!this.enabled || event.target.tagName !== 'CANVAS') return;
+        event.preventDefault();
+        // Lines and pages are rare in practice; treat them as roughly a notch of pixels
+        const scale = event.deltaMode === 0 ? 1 : 40;
+        this.wheelDelta += event.deltaY * scale;
+    }
+
+    // Wheel movement since the last call, in pixels; positive means towards the user (zoom out)
+    consumeWheelDelta() {
+        const delta = this.wheelDelta;
+        this.wheelDelta = 0;
+        return delta;
+    }
+
+    // Mouse movement since the last call, in pixels
+    consumeMouseDelta() {
+        const delta = { ...this.mouseDelta };
+        this.mouseDelta.x = 0;
+        this.mouseDelta.y = 0;
+        return delta;
+    }
+
+    isTouchDevice() {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+
+    setupTouchControls() {
+        this.joystick = new VirtualJoystick(this.container);
+
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.right = '30px';
+        panel.style.bottom = '30px';
+        panel.style.display = 'grid';
+        panel.style.gridTemplateColumns = 'repeat(2, 64px)';
+        panel.style.gap = '12px';
+        this.container.appendChild(panel);
+        this.touchPanel = panel;
+
+        for (const { action, label } of TOUCH_BUTTONS) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.width = '64px';
+            button.style.height = '64px';
+            button.style.borderRadius = '50%';
+            button.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+            button.style.color = '#fff';
+            button.style.touchAction = 'none';
+            button.style.userSelect = 'none';
+
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                if (!this.enabled) return;
+                button.setPointerCapture(e.pointerId);
+                this.touchButtons[action] = true;
+                this.pressed.add(action);
+            });
+            const release = () => { this.touchButtons[action] = false; };
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+            panel.appendChild(button);
+        }
     }
 
     onKeyDown(event) {
-        switch (event.code) {
-            case 'KeyW': this.keys.forward = true; break;
-            case 'KeyS': this.keys.backward = true; break;
-            case 'KeyA': this.keys.left = true; break;
-            case 'KeyD': this.keys.right = true; break;
-            case 'Space': 
-                this.keys.jump = true;
-                // Only trigger jump if it wasn't already pressed
-                if (!this.jumpPressed) {
-                    this.jumpPressed = true;
-                }
-                break;
+        if (!this.enabled) return;
+        const control = this.keyControls.get(event.code);
+        if (!control) return;
+
+        // Keep bound keys from scrolling the page
+        event.preventDefault();
+        // Ignore key repeat so holding a key doesn't keep toggling aim or debug mode
+        if (!event.repeat && !AXIS_ACTIONS.includes(control.action)) {
+            this.pressed.add(control.action);
         }
+        this.heldKeys.add(event.code);
     }
 
     onKeyUp(event) {
-        switch (event.code) {
-            case 'KeyW': this.keys.forward = false; break;
-            case 'KeyS': this.keys.backward = false; break;
-            case 'KeyA': this.keys.left = false; break;
-            case 'KeyD': this.keys.right = false; break;
-            case 'Space': 
-                this.keys.jump = false;
-                this.jumpPressed = false; // Reset jump pressed state when space is released
-                break;
-        }
+        this.heldKeys.delete(event.code);
     }
 
-    update(player) {
-        if (!player) return;
-        
-        if (this.keys.forward) player.move(1);
-        if (this.keys.backward) player.move(-1);
-        if (this.keys.left) player.rotate(1);
-        if (this.keys.right) player.rotate(-1);
-        
-        // Only trigger jump if space was just pressed
-        if (this.keys.jump && this.jumpPressed && !player.isJumping) {
-            player.jump();
-            this.jumpPressed = false; // Reset jump pressed state after triggering jump
-        }
-
-        // Update animation state (only if not jumping)
-        if (!player.isJumping) {
-            if (this.keys.forward) {
-                player.setAnimation('run');
-            } else if (this.keys.backward) {
-                player.setAnimation('walk');
+    // Scale a stick axis so the dead zone maps to 0 and full deflection to +-1
+    applyDeadZone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < this.deadZone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone));
+    }
+
+    // Combine every device into this frame's axes and held buttons. The Gamepad API
+    // has no events for sticks and buttons, so this has to run once per frame.
+    poll() {
+        const axes = Object.fromEntries(AXIS_ACTIONS.map(action => [action, 0]));
+        const buttons = Object.fromEntries(BUTTON_ACTIONS.map(action => [action, false]));
+
+        // When several inputs drive the same axis, the strongest one wins
+        const applyAxis = (action, value) => {
+            if (Math.abs(value) > Math.abs(axes[action])) {
+                axes[action] = value;
+            }
+        };
+
+        if (!this.enabled) {
+            this.axes = axes;
+            this.buttons = buttons;
+            return;
+        }
+
+        // Keyboard and gamepad buttons: opposite directions cancel each other out
+        const digitalAxes = Object.fromEntries(AXIS_ACTIONS.map(action => [action, 0]));
+        const holdControl = ({ action, value }) => {
+            if (AXIS_ACTIONS.includes(action)) {
+                digitalAxes[action] += value;
             } else {
-                player.setAnimation('idle');
+                buttons[action] = true;
+            }
+        };
+        for (const code of this.heldKeys) {
+            holdControl(this.keyControls.get(code));
+        }
+
+        // Gamepads
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepadButtons = {};
+        for (const gamepad of gamepads) {
+            if (!gamepad || !gamepad.connected) continue;
+
+            for (const { action, axis, scale } of GAMEPAD_AXIS_BINDINGS) {
+                applyAxis(action, this.applyDeadZone((gamepad.axes[axis] || 0) * scale));
+            }
+            gamepad.buttons.forEach((button, index) => {
+                const control = this.gamepadControls.get(index);
+                if (control && button.pressed && !gamepadButtons[control.id]) {
+                    gamepadButtons[control.id] = true;
+                    holdControl(control);
+                    if (!this.gamepadButtons[control.id] && !AXIS_ACTIONS.includes(control.action)) {
+                        this.pressed.add(control.action);
+                    }
+                }
+            });
+        }
+        this.gamepadButtons = gamepadButtons; // By control id, to spot presses at the next poll
+
+        for (const action of AXIS_ACTIONS) {
+            applyAxis(action, THREE.MathUtils.clamp(digitalAxes[action], -1, 1));
+        }
+
+        // Touch: joystick up/down moves, left/right turns
+        if (this.joystick) {
+            applyAxis('moveForward', this.applyDeadZone(this.joystick.y));
+            applyAxis('turn', this.applyDeadZone(-this.joystick.x));
+        }
+        for (const [action, held] of Object.entries(this.touchButtons)) {
+            buttons[action] = buttons[action] || held;
+        }
+
+        this.axes = axes;
+        this.buttons = buttons;
+    }
+
+    getAxis(action) {
+        return this.axes[action];
+    }
+
+    isHeld(action) {
+        return this.buttons[action];
+    }
+
+    // True once per press of a button action
+    consumePress(action) {
+        const wasPressed = this.pressed.has(action);
+        this.pressed.delete(action);
+        return wasPressed;
+    }
+
+    // Sample the input for one simulation step (see Simulation.step for the shape).
+    // In mouse-look mode the turn axis strafes instead; the caller fills in lookYaw.
+    readInput() {
+        const turn = this.getAxis('turn');
+        return {
+            moveForward: this.getAxis('moveForward'),
+            turn: this.mouseLook ? 0 : turn,
+            strafe: this.mouseLook ? -turn : 0,
+            lookYaw: null,
+            jump: this.isHeld('jump'),
+            fire: this.isHeld('fire'),
+            toggleAim: this.consumePress('aim'),
+            reload: this.consumePress('reload')
+        };
+    }
+}
+
+// Draws the Rifle simulation: muzzle flash and impact effects
+class WeaponSystem {
+    constructor(scene, rifle) {
+        this.scene = scene;
+        this.rifle = rifle;
+        this.flashDuration = 0.05;
+        this.flashTimer = 0;
+        this.impactDuration = 0.3;
+        this.impacts = [];
+        this.impactGeometry = new THREE.SphereGeometry(0.15, 6, 6);
+        this.setupMuzzleFlash();
+
+        this.handleFired = ({ muzzlePosition }) => this.showMuzzleFlash(muzzlePosition);
+        this.handleImpact = ({ point, enemy }) => this.spawnImpact(point, enemy ? 0x88aa22 : 0xffaa55);
+        this.rifle.addEventListener('fired', this.handleFired);
+        this.rifle.addEventListener('impact', this.handleImpact);
+    }
+
+    setupMuzzleFlash() {
+        this.muzzleLight = new THREE.PointLight(0xffaa33, 0, 8);
+        this.scene.add(this.muzzleLight);
+
+        this.muzzleSprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            color: 0xffcc66,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        this.muzzleSprite.scale.set(0.6, 0.6, 0.6);
+        this.muzzleSprite.visible = false;
+        this.scene.add(this.muzzleSprite);
+    }
+
+    showMuzzleFlash(position) {
+        this.muzzleLight.position.copy(position);
+        this.muzzleLight.intensity = 3;
+        this.muzzleSprite.position.copy(position);
+        this.muzzleSprite.material.rotation = Math.random() * Math.PI * 2;
+        this.muzzleSprite.visible = true;
+        this.flashTimer = this.flashDuration;
+    }
+
+    spawnImpact(position, color) {
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, depthWrite: false });
+        const mesh = new THREE.Mesh(this.impactGeometry, material);
+        mesh.position.copy(position);
+        this.scene.add(mesh);
+        this.impacts.push({ mesh, age: 0 });
+    }
+
+    update(deltaTime) {
+        if (this.flashTimer > 0) {
+            this.flashTimer -= deltaTime;
+            if (this.flashTimer <= 0) {
+                this.muzzleLight.intensity = 0;
+                this.muzzleSprite.visible = false;
             }
         }
+
+        // Impacts grow and fade out, then are removed
+        this.impacts = this.impacts.filter((impact) => {
+            impact.age += deltaTime;
+            const progress = impact.age / this.impactDuration;
+            if (progress >= 1) {
+                this.scene.remove(impact.mesh);
+                impact.mesh.material.dispose();
+                return false;
+            }
+            impact.mesh.scale.setScalar(1 + progress * 2);
+            impact.mesh.material.opacity = 1 - progress;
+            return true;
+        });
+    }
+
+    dispose() {
+        this.rifle.removeEventListener('fired', this.handleFired);
+        this.rifle.removeEventListener('impact', this.handleImpact);
+        for (const impact of this.impacts) {
+            this.scene.remove(impact.mesh);
+            impact.mesh.material.dispose();
+        }
+        this.impacts = [];
+        this.impactGeometry.dispose();
+        this.scene.remove(this.muzzleLight);
+        this.muzzleLight.dispose();
+        this.scene.remove(this.muzzleSprite);
+        this.muzzleSprite.material.dispose();
     }
 }
 
+// Draws the City simulation. Every submesh of every building model becomes one
+// InstancedMesh, and each loaded building is an instance in those, so the number
+// of draw calls doesn't grow with the number of buildings. Collision lives in the
+// city's CollisionWorld, not in the scene graph. With a SnowCoverSystem (`snowCover`)
+// the roofs gather snow, on copies of the models' materials.
 class BuildingSystem {
-    constructor(scene) {
+    constructor(scene, city, snowCover = null) {
         this.scene = scene;
-        this.buildings = new Map(); // Store active buildings
+        this.city = city;
+        this.snowCover = snowCover;
+        this.materials = []; // Snow-covered copies of the models' materials
         this.buildingModels = []; // Array to store multiple building models
-        this.gridSize = 25; // Reduced to place buildings closer
-        this.buildingSpacing = 12; // Reduced spacing between buildings
-        this.buildingChance = 0.8; // Increased chance of building spawn
-        this.loadedCells = new Set(); // Track which cells have been processed
-        this.collisionBoxes = new Map(); // Store collision boxes for each building
+        this.instanceGroups = []; // Per model: { parts: [{ mesh, localMatrix }], keys: [cell key per instance], rootRotation }
+        this.instances = new Map(); // Instance index by cell key, mirroring city.buildings
+        // Enough instances for every cell the city keeps loaded to use the same model
+        this.capacity = Math.pow(city.unloadRadius * 2 + 1, 2);
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.scaleVector = new THREE.Vector3();
+        this.euler = new THREE.Euler();
+        this.loadPromise = null; // Promise of the instance groups, shared by every call to loadBuildingModel()
+    }
+
+    // Set up the instance groups once; a retry after some other asset failed reuses them
+    // rather than adding a second set to the scene. A failed load can be tried again.
+    loadBuildingModel() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadModels().catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+        return this.loadPromise;
     }
 
-    async loadBuildingModel() {
-        const loader = new FBXLoader();
+    async loadModels() {
         try {
             // Load both building models
             const [building00, building01] = await Promise.all([
-                loader.loadAsync('/assets/building_00.fbx'),
-                loader.loadAsync('/assets/building_01.fbx')
+                assetManager.loadFBX('/assets/building_00.fbx'),
+                assetManager.loadFBX('/assets/building_01.fbx')
             ]);
 
             // Set up both building models with enhanced lighting
@@ -565,147 +1580,176 @@ class BuildingSystem {
             });
 
             this.buildingModels = [building00, building01];
+            this.createInstanceGroups();
             console.log('Building models loaded successfully');
         } catch (error) {
             console.error('Error loading building models:', error);
+            throw error;
         }
     }
 
-    createBuilding(x, z) {
-        if (!this.buildingModels.length) {
-            console.log('Building models not loaded yet');
-            return null;
-        }
+    // One InstancedMesh per submesh of each model, sharing the model's geometry and materials
+    createInstanceGroups() {
+        this.instanceGroups = this.buildingModels.map((model) => {
+            // Each submesh's transform relative to the model root; the root's own
+            // transform is what every instance replaces with its placement
+            model.updateMatrixWorld(true);
+            const rootInverse = model.matrixWorld.clone().invert();
 
-        // Randomly select a building model
-        const buildingIndex = Math.floor(Math.random() * this.buildingModels.length);
-        const buildingModel = this.buildingModels[buildingIndex];
-        const building = buildingModel.clone();
-        
-        // Random rotation (0, 90, 180, or 270 degrees)
-        const rotation = Math.floor(Math.random() * 4) * (Math.PI / 2);
-        
-        // Random scale variation (much larger than before)
-        const baseScale = 25; // Increased base scale for buildings
-        const scaleVar = 0.9 + Math.random() * 0.2; // 90% to 110% of base scale
-        const finalScale = baseScale * scaleVar;
-        building.scale.set(finalScale, finalScale, finalScale);
-
-        // Random position within the grid cell (with some offset from edges)
-        const offsetX = (Math.random() - 0.5) * (this.gridSize - this.buildingSpacing);
-        const offsetZ = (Math.random() - 0.5) * (this.gridSize - this.buildingSpacing);
-        
-        // Different heights for different building types
-        const buildingHeight = buildingIndex === 1 ? 6.8 : 6.47; // building_01 is 5% higher
-        
-        // Position the building
-        const buildingPosition = new THREE.Vector3(
-            x * this.gridSize + offsetX,
-            buildingHeight,
-            z * this.gridSize + offsetZ
-        );
-        
-        building.position.copy(buildingPosition);
-        building.rotation.y = rotation;
-        
-        // Create collision box for the building (adjusted for each building type)
-        const boxSize = finalScale * 0.8; // Increased from 0.6 to 0.8 for tighter collision
-        const boxHeight = buildingIndex === 1 ? boxSize * 1.4 : boxSize * 1.2; // Taller collision box for building_01
-        const boxGeometry = new THREE.BoxGeometry(boxSize, boxHeight, boxSize);
-        const boxMaterial = new THREE.MeshBasicMaterial({ 
-            visible: false,
-            side: THREE.DoubleSide 
+            const parts = [];
+            model.traverse((child) => {
+                if (!child.isMesh) return;
+                const mesh = new THREE.InstancedMesh(child.geometry, this.createMaterial(child.material), this.capacity);
+                mesh.castShadow = child.castShadow;
+                mesh.receiveShadow = child.receiveShadow;
+                mesh.count = 0;
+                this.scene.add(mesh);
+                parts.push({ mesh, localMatrix: rootInverse.clone().multiply(child.matrixWorld) });
+            });
+            // Placements only turn the root about Y, like setting rotation.y on a clone would
+            return { parts, keys: [], rootRotation: model.rotation.clone() };
         });
-        const collisionBox = new THREE.Mesh(boxGeometry, boxMaterial);
-        collisionBox.position.copy(buildingPosition); // Use the same position as building
-        collisionBox.rotation.y = rotation; // Match building rotation
-        this.scene.add(collisionBox);
-        
-        // Add the building to the scene
-        this.scene.add(building);
-        console.log('Created building at:', building.position);
-        return { building, collisionBox, buildingIndex };
     }
 
-    checkCollision(playerPosition, playerRadius) {
-        for (const [key, { collisionBox, buildingIndex }] of this.buildings.entries()) {
-            const buildingPosition = collisionBox.position;
-            const buildingSize = collisionBox.geometry.parameters.width / 2;
-            
-            // Calculate distance between player and building center
-            const dx = playerPosition.x - buildingPosition.x;
-            const dz = playerPosition.z - buildingPosition.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            // Different collision buffers for different building types
-            const collisionBuffer = buildingIndex === 1 ? 0.5 : 0.02;
-            
-            // Check if player is too close to building
-            if (distance < (buildingSize + playerRadius + collisionBuffer)) {
-                return true; // Collision detected
+    // The cached model's material, or a snow-covered copy of it (materials may be arrays)
+    createMaterial(material) {
+        if (!this.snowCover) return material;
+        if (Array.isArray(material)) {
+            return material.map(part => this.createMaterial(part));
+        }
+        const copy = this.snowCover.applyTo(material.clone());
+        this.materials.push(copy);
+        return copy;
+    }
+
+    // Write a building's placement into one instance slot of its model's meshes
+    setInstance(group, index, buildingData) {
+        const { position, rotation, scale } = buildingData;
+        this.euler.copy(group.rootRotation);
+        this.euler.y = rotation;
+        this.quaternion.setFromEuler(this.euler);
+        this.scaleVector.set(scale, scale, scale);
+        const placement = new THREE.Matrix4().compose(position, this.quaternion, this.scaleVector);
+
+        for (const { mesh, localMatrix } of group.parts) {
+            this.matrix.multiplyMatrices(placement, localMatrix);
+            mesh.setMatrixAt(index, this.matrix);
+            mesh.instanceMatrix.needsUpdate = true;
+        }
+    }
+
+    createBuilding(key, buildingData) {
+        const group = this.instanceGroups[buildingData.buildingIndex];
+        const index = group.keys.length;
+        if (index >= this.capacity) {
+            console.error('No building instance left for', key);
+            return;
+        }
+
+        group.keys.push(key);
+        this.setInstance(group, index, buildingData);
+        for (const { mesh } of group.parts) {
+            mesh.count = group.keys.length;
+        }
+        this.instances.set(key, index);
+    }
+
+    // Free a building's instance by moving the model's last instance into its slot
+    removeBuilding(key) {
+        const index = this.instances.get(key);
+        const group = this.instanceGroups.find(({ keys }) => keys[index] === key);
+        const lastIndex = group.keys.length - 1;
+
+        if (index !== lastIndex) {
+            const lastKey = group.keys[lastIndex];
+            for (const { mesh } of group.parts) {
+                mesh.getMatrixAt(lastIndex, this.matrix);
+                mesh.setMatrixAt(index, this.matrix);
+                mesh.instanceMatrix.needsUpdate = true;
             }
+            group.keys[index] = lastKey;
+            this.instances.set(lastKey, index);
+        }
+
+        group.keys.pop();
+        for (const { mesh } of group.parts) {
+            mesh.count = group.keys.length;
         }
-        return false; // No collision
+        this.instances.delete(key);
     }
 
-    update(playerPosition) {
-        // Convert player position to grid coordinates
-        const gridX = Math.floor(playerPosition.x / this.gridSize);
-        const gridZ = Math.floor(playerPosition.z / this.gridSize);
-        
-        // Generate buildings in a 4x4 grid around player (closer buildings)
-        for (let x = gridX - 2; x <= gridX + 2; x++) {
-            for (let z = gridZ - 2; z <= gridZ + 2; z++) {
-                const key = `${x},${z}`;
-                
-                // If we haven't processed this cell yet
-                if (!this.loadedCells.has(key) && !this.buildings.has(key)) {
-                    this.loadedCells.add(key);
-                    
-                    // Random chance to place a building
-                    if (Math.random() < this.buildingChance) {
-                        // Don't place buildings too close to the origin (player spawn)
-                        const distanceFromOrigin = Math.sqrt(x * x + z * z);
-                        if (distanceFromOrigin > 0.3) { // Allow buildings even closer to spawn
-                            const buildingData = this.createBuilding(x, z);
-                            if (buildingData) {
-                                this.buildings.set(key, buildingData);
-                            }
-                        }
-                    }
+    // Add instances for buildings the city loaded and drop those it unloaded
+    update() {
+        // Instances need the models, so wait until they are available
+        if (!this.instanceGroups.length) return;
+
+        let changed = false;
+        for (const [key, buildingData] of this.city.buildings.entries()) {
+            if (!this.instances.has(key)) {
+                this.createBuilding(key, buildingData);
+                changed = true;
+            }
+        }
+
+        for (const key of this.instances.keys()) {
+            if (!this.city.buildings.has(key)) {
+                this.removeBuilding(key);
+                changed = true;
+            }
+        }
+
+        // Keep frustum culling in step with where the instances are now
+        if (changed) {
+            for (const { parts } of this.instanceGroups) {
+                for (const { mesh } of parts) {
+                    mesh.computeBoundingSphere();
                 }
             }
         }
+    }
 
-        // Remove buildings that are too far from the player
-        for (const [key, { building, collisionBox }] of this.buildings.entries()) {
-            const [x, z] = key.split(',').map(Number);
-            if (Math.abs(x - gridX) > 3 || Math.abs(z - gridZ) > 3) {
-                this.scene.remove(building);
-                this.scene.remove(collisionBox);
-                this.buildings.delete(key);
+    // Geometry and the original materials are the cached models'; only the instance
+    // buffers and the snow-covered material copies are ours
+    dispose() {
+        for (const { parts } of this.instanceGroups) {
+            for (const { mesh } of parts) {
+                this.scene.remove(mesh);
+                mesh.dispose();
             }
         }
+        for (const material of this.materials) {
+            material.dispose();
+        }
+        this.materials = [];
+        this.instanceGroups = [];
+        this.instances.clear();
+        this.loadPromise = null;
     }
 }
 
+// Draws the Enemies simulation: a model per enemy, crossfading between the
+// clips its state machine asks for
 class EnemySystem {
-    constructor(scene) {
+    constructor(scene, enemies) {
         this.scene = scene;
-        this.enemies = new Map();
+        this.enemies = enemies;
+        this.views = new Map(); // Model, mixer and actions by enemy id
         this.enemyModel = null;
-        this.mixers = new Map();
         this.animations = {};
-        this.spawnRadius = 50; // Radius around center to spawn enemies
-        this.maxEnemies = 5; // Maximum number of enemies to maintain
-        this.minSpawnDistance = 20; // Minimum distance from center to spawn
-        this.wanderRadius = 10; // How far enemies can wander from their spawn point
+        this.oneShotAnimations = ['hit', 'die', 'standup'];
+        this.crossFadeDuration = 0.2;
+        this.mixerTimeScale = 30/60;
     }
 
     async loadEnemyModel() {
-        const loader = new FBXLoader();
         try {
-            const model = await loader.loadAsync('/assets/cascarudo_walk.fbx');
+            const [model, runModel, hitModel, dieModel, standupModel] = await Promise.all([
+                assetManager.loadFBX('/assets/cascarudo_walk.fbx'),
+                assetManager.loadFBX('/assets/cascarudo_run.fbx'),
+                assetManager.loadFBX('/assets/cascarudo_hit.fbx'),
+                assetManager.loadFBX('/assets/cascarudo_die.fbx'),
+                assetManager.loadFBX('/assets/cascarudo_standup.fbx')
+            ]);
             
             // Store the model for cloning
             this.enemyModel = model;
@@ -725,121 +1769,116 @@ class EnemySystem {
                 }
             });
 
-            // Set up the walk animation
-            if (model.animations && model.animations.length > 0) {
-                const walkClip = model.animations[0].clone();
-                walkClip.tracks = walkClip.tracks.filter(track => !track.name.includes('position'));
-                this.animations.walk = walkClip;
-                this.animations.walk.timeScale = (30/60) * 0.24;
+            // Store the clips, stripping root motion like the player's
+            this.addAnimation('walk', model);
+            this.addAnimation('run', runModel);
+            this.addAnimation('hit', hitModel);
+            this.addAnimation('die', dieModel);
+            this.addAnimation('standup', standupModel);
+
+            // Let the state machine wait exactly as long as the one-shot clips play
+            for (const name of ['hit', 'standup']) {
+                if (this.animations[name]) {
+                    this.enemies.clipDurations[name] = this.animations[name].duration / this.mixerTimeScale;
+                }
             }
 
             console.log('Enemy model loaded successfully');
         } catch (error) {
             console.error('Error loading enemy model:', error);
+            throw error;
         }
     }
 
-    createEnemy(spawnPosition) {
-        if (!this.enemyModel) return null;
+    addAnimation(name, sourceModel) {
+        if (!sourceModel.animations || sourceModel.animations.length === 0) return;
 
-        const enemy = this.enemyModel.clone();
-        enemy.position.copy(spawnPosition);
-        this.scene.add(enemy);
+        const clip = sourceModel.animations[0].clone();
+        clip.tracks = clip.tracks.filter(track => !track.name.includes('position'));
+        this.animations[name] = clip;
+    }
+
+    createEnemyView(enemy) {
+        // SkeletonUtils keeps each clone's skinned meshes bound to its own skeleton
+        // while sharing geometry and materials with the source model
+        const model = SkeletonUtils.clone(this.enemyModel);
+        model.position.copy(enemy.position);
+        this.scene.add(model);
 
         // Create animation mixer for this enemy
-        const mixer = new THREE.AnimationMixer(enemy);
-        this.mixers.set(enemy, mixer);
-
-        // Set up walk animation
-        const walkAction = mixer.clipAction(this.animations.walk);
-        walkAction.play();
-
-        // Enemy properties
-        const enemyData = {
-            model: enemy,
-            mixer: mixer,
-            spawnPosition: spawnPosition.clone(),
-            targetPosition: null,
-            moveSpeed: 0.05,
-            wanderTimer: 0,
-            wanderInterval: 3 + Math.random() * 2, // Random interval between 3-5 seconds
-            rotation: new THREE.Euler(0, Math.random() * Math.PI * 2, 0)
-        };
+        const mixer = new THREE.AnimationMixer(model);
+
+        // One action per clip; hit, die and stand up play once and hold their last frame
+        const actions = {};
+        for (const [name, clip] of Object.entries(this.animations)) {
+            const action = mixer.clipAction(clip);
+            if (this.oneShotAnimations.includes(name)) {
+                action.setLoop(THREE.LoopOnce);
+                action.clampWhenFinished = true;
+            }
+            actions[name] = action;
+        }
 
-        return enemyData;
+        const view = { model, mixer, actions, currentAction: null };
+        this.setEnemyAnimation(view, enemy.animation);
+        return view;
     }
 
-    findRandomSpawnPosition() {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = this.minSpawnDistance + Math.random() * (this.spawnRadius - this.minSpawnDistance);
-        
-        return new THREE.Vector3(
-            Math.cos(angle) * distance,
-            2, // Same height as player
-            Math.sin(angle) * distance
-        );
+    removeEnemyView(id) {
+        const { model, mixer } = this.views.get(id);
+        mixer.stopAllAction();
+        mixer.uncacheRoot(model);
+        this.scene.remove(model);
+        this.views.delete(id);
     }
 
-    updateEnemyBehavior(enemy, deltaTime) {
-        const { model, spawnPosition, targetPosition, wanderTimer, wanderInterval, moveSpeed, rotation } = enemy;
-
-        // Update wander timer
-        enemy.wanderTimer += deltaTime;
+    // Crossfade to another clip, the same way PlayerCharacter.setAnimation does
+    setEnemyAnimation(view, animationName) {
+        const newAction = view.actions[animationName];
+        if (!newAction || view.currentAction === newAction) return;
 
-        // If it's time to find a new target or no target exists
-        if (wanderTimer >= wanderInterval || !targetPosition) {
-            // Find new random position within wander radius
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * this.wanderRadius;
-            
-            enemy.targetPosition = new THREE.Vector3(
-                spawnPosition.x + Math.cos(angle) * distance,
-                2,
-                spawnPosition.z + Math.sin(angle) * distance
-            );
-
-            // Update rotation to face target
-            const direction = enemy.targetPosition.clone().sub(model.position).normalize();
-            rotation.y = Math.atan2(direction.x, direction.z);
-            model.rotation.y = rotation.y;
-
-            // Reset timer and set new random interval
-            enemy.wanderTimer = 0;
-            enemy.wanderInterval = 3 + Math.random() * 2;
+        newAction.reset();
+        newAction.play();
+        if (view.currentAction) {
+            newAction.crossFadeFrom(view.currentAction, this.crossFadeDuration, true);
         }
+        view.currentAction = newAction;
+    }
 
-        // Move towards target
-        if (targetPosition) {
-            const direction = targetPosition.clone().sub(model.position).normalize();
-            const newPosition = model.position.clone().add(direction.multiplyScalar(moveSpeed));
+    // Keep one model per simulated enemy and play the clip its state asks for
+    update(deltaTime) {
+        if (!this.enemyModel) return;
 
-            // Check if new position is within bounds
-            const distanceFromSpawn = newPosition.distanceTo(spawnPosition);
-            if (distanceFromSpawn <= this.wanderRadius) {
-                model.position.copy(newPosition);
-            } else {
-                // If out of bounds, find new target
-                enemy.targetPosition = null;
+        for (const enemy of this.enemies.enemies.values()) {
+            if (!this.views.has(enemy.id)) {
+                this.views.set(enemy.id, this.createEnemyView(enemy));
             }
+            const view = this.views.get(enemy.id);
+            this.setEnemyAnimation(view, enemy.animation);
+            view.mixer.update(deltaTime * this.mixerTimeScale);
         }
 
-        // Update animation mixer
-        enemy.mixer.update(deltaTime * (30/60));
+        for (const id of this.views.keys()) {
+            if (!this.enemies.enemies.has(id)) {
+                this.removeEnemyView(id);
+            }
+        }
     }
 
-    update(deltaTime) {
-        // Maintain enemy count
-        while (this.enemies.size < this.maxEnemies) {
-            const spawnPosition = this.findRandomSpawnPosition();
-            const enemyData = this.createEnemy(spawnPosition);
-            if (enemyData) {
-                this.enemies.set(enemyData.model, enemyData);
-            }
+    // Place each model between its last two simulation states
+    interpolate(alpha) {
+        for (const [id, { model }] of this.views.entries()) {
+            const enemy = this.enemies.enemies.get(id);
+            if (!enemy) continue;
+            model.position.lerpVectors(enemy.previousPosition, enemy.position, alpha);
+            model.rotation.y = enemy.rotation.y;
         }
+    }
 
-        // Update each enemy
-        for (const [enemy, enemyData] of this.enemies.entries()) {
-            this.updateEnemyBehavior(enemyData, deltaTime);
+    // Clones share the cached model's geometry and materials, so only the views go
+    dispose() {
+        for (const id of [...this.views.keys()]) {
+            this.removeEnemyView(id);
         }
     }
 }
@@ -864,25 +1903,18 @@ class DebugSystem {
 
     setupEventListeners() {
         // Add mouse move event listener
-        window.addEventListener('mousemove', (event) => this.onMouseMove(event));
-
-        // Add keyboard event listener for debug mode toggle
-        window.addEventListener('keydown', (event) => {
-            if (event.code === 'KeyC') {
-                event.preventDefault();
-                this.toggleDebugMode();
-            }
-        });
+        this.handleMouseMove = (event) => this.onMouseMove(event);
+        window.addEventListener('mousemove', this.handleMouseMove);
     }
 
-    cleanup() {
-        window.removeEventListener('mousemove', (event) => this.onMouseMove(event));
-        window.removeEventListener('keydown', (event) => {
-            if (event.code === 'KeyC') {
-                event.preventDefault();
-                this.toggleDebugMode();
-            }
-        });
+    // Remove everything the debug system added to the page, e.g. before a saved game is loaded
+    dispose() {
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        this.controls.dispose();
+        this.debugPanel.remove();
+        this.toggleButton.remove();
+        this.outlinePass?.dispose();
+        this.composer?.dispose();
     }
 
     setupDebugPanel() {
@@ -905,7 +1937,7 @@ class DebugSystem {
         this.stats.dom.style.right = '10px';
         this.debugPanel.appendChild(this.stats.dom);
 
-        // Add debug mode toggle button
+        // Add debug mode toggle button; it only shows in debug mode, to leave it again
         const toggleButton = document.createElement('button');
         toggleButton.textContent = 'Toggle Debug Mode (C)';
         toggleButton.style.position = 'absolute';
@@ -916,8 +1948,10 @@ class DebugSystem {
         toggleButton.style.color = '#fff';
         toggleButton.style.border = 'none';
         toggleButton.style.cursor = 'pointer';
+        toggleButton.style.display = 'none';
         toggleButton.onclick = () => this.toggleDebugMode();
         document.body.appendChild(toggleButton);
+        this.toggleButton = toggleButton;
     }
 
     setupControls() {
@@ -965,6 +1999,7 @@ class DebugSystem {
     toggleDebugMode() {
         this.isDebugMode = !this.isDebugMode;
         this.debugPanel.style.display = this.isDebugMode ? 'block' : 'none';
+        this.toggleButton.style.display = this.isDebugMode ? 'block' : 'none';
         if (this.controls) {
             this.controls.enabled = this.isDebugMode;
         }
@@ -1053,7 +2088,11 @@ class DebugSystem {
     }
 }
 
-export default function Scene3D() {
+// The game as an embeddable component. `config` tunes the world, weather, enemies,
+// graphics and controls (see config/sceneConfig.js); the on* callbacks report what
+// happens in the game; and a ref gets a handle to pause, resume, teleport the
+// player, spawn enemies and take screenshots.
+const Scene3D = forwardRef(function Scene3D({ seed, config, onPlayerMove, onEnemyKilled, onGameOver } = {}, ref) {
     const containerRef = useRef();
     const sceneRef = useRef();
     const playerRef = useRef();
@@ -1063,15 +2102,228 @@ export default function Scene3D() {
     const mixerRef = useRef();
     const clockRef = useRef();
     const snowSystemRef = useRef();
+    const skySystemRef = useRef();
+    const snowCoverSystemRef = useRef();
     const groundSystemRef = useRef();
     const buildingSystemRef = useRef();
     const enemySystemRef = useRef();
+    const weaponSystemRef = useRef();
+    const simulationRef = useRef();
+    const fadeRef = useRef();
+    const hudRef = useRef();
+    const frostRef = useRef();
     const debugSystemRef = useRef();
+    const audioSystemRef = useRef();
+    const [bindings, setBindings] = useState(loadBindings);
+    const bindingsRef = useRef(bindings); // Lets the scene setup pick up the bindings without depending on them
+    const [showControls, setShowControls] = useState(false);
+    const [controlMode, setControlMode] = useState(() => loadControlMode(config?.controls?.controlMode));
+    const controlModeRef = useRef(controlMode);
+    const [showSaves, setShowSaves] = useState(false);
+    const [audioSettings, setAudioSettings] = useState(loadAudioSettings);
+    const audioSettingsRef = useRef(audioSettings);
+    const [showAudio, setShowAudio] = useState(false);
+    const [loading, setLoading] = useState({ status: 'loading', progress: 0, error: null });
+    const retryLoadingRef = useRef(); // Starts loading the assets again after an error
+    const [saveMessage, setSaveMessage] = useState('');
+    // loading, title, playing, paused or gameover (see game/gameState.js)
+    const [gameState, dispatchGame] = useReducer(nextGameState, 'loading');
+    const gameStateRef = useRef(gameState);
+    const [canContinue, setCanContinue] = useState(false); // The loaded world already has a game in progress
+    // Read when a game starts, so a page can pass a fresh object every render without restarting it
+    const configRef = useRef(config);
+    configRef.current = config;
+    const callbacksRef = useRef();
+    callbacksRef.current = { onPlayerMove, onEnemyKilled, onGameOver };
+    const sceneApiRef = useRef(); // Teleport, spawn, weather and screenshot for the current scene
+    // The world being played: a new object restarts the scene. `seed` keeps the world of a
+    // restart, and `play` skips the title screen once it has loaded. Without an explicit seed,
+    // a reload carries on from the autosave.
+    const [session, setSession] = useState(() => ({
+        snapshot: getExplicitSeed(seed) === null ? readSave('autosave') : null,
+        seed: null,
+        play: false
+    }));
+    // A new seed prop switches to that world, dropping whatever save or restart seed the
+    // session held; adjusted during render so the scene never starts the old world first
+    const [sessionSeedProp, setSessionSeedProp] = useState(seed);
+    if (seed !== sessionSeedProp) {
+        setSessionSeedProp(seed);
+        setSession({ snapshot: null, seed: null, play: session.play });
+    }
+
+    function saveToSlot(slotId) {
+        const simulation = simulationRef.current;
+        if (!simulation) return;
+        setSaveMessage(writeSave(slotId, simulation.serialize()) ? 'Game saved.' : 'Could not save the game.');
+    }
+
+    function loadFromSlot(slotId) {
+        const snapshot = readSave(slotId);
+        if (!snapshot) {
+            setSaveMessage('That save could not be read.');
+            return;
+        }
+        setSaveMessage('');
+        setShowSaves(false);
+        setSession({ snapshot, seed: null, play: true });
+    }
+
+    function exportGame() {
+        if (simulationRef.current) {
+            exportSnapshot(simulationRef.current.serialize());
+        }
+    }
+
+    async function importGame(file) {
+        try {
+            const snapshot = await importSnapshotFile(file);
+            setSaveMessage('');
+            setShowSaves(false);
+            setSession({ snapshot, seed: null, play: true });
+        } catch (error) {
+            console.error('Error importing save:', error);
+            setSaveMessage(`Could not import: ${error.message}`);
+        }
+    }
 
+    function startNewGame() {
+        setSaveMessage('');
+        setShowSaves(false);
+        setSession({ snapshot: null, seed: null, play: true });
+    }
+
+    // Start over in the same world
+    function restartGame() {
+        setSession({ snapshot: null, seed: simulationRef.current?.seed ?? null, play: true });
+    }
+
+    // Back to the title screen. A game in progress is autosaved and can be continued from
+    // there; after a game over a fresh world is set up behind the title instead.
+    function quitToTitle() {
+        const simulation = simulationRef.current;
+        if (gameState === 'gameover') {
+            setSession({ snapshot: null, seed: null, play: false });
+            return;
+        }
+        if (simulation && !simulation.player.isDead) {
+            writeSave('autosave', simulation.serialize());
+        }
+        dispatchGame('quit');
+    }
+
+    // Hand new bindings to the input controller and remember them for next time
+    function changeBindings(newBindings) {
+        setBindings(newBindings);
+        bindingsRef.current = newBindings;
+        inputControllerRef.current?.setBindings(newBindings);
+        saveBindings(newBindings);
+    }
+
+    function resetBindings() {
+        changeBindings(cloneBindings(DEFAULT_BINDINGS));
+        clearSavedBindings();
+    }
+
+    // Escape pauses the game; the menus handle Escape themselves while they are open
+    useEffect(() => {
+        function onKeyDown(event) {
+            if (event.code === 'Escape') {
+                dispatchGame('pause');
+            }
+        }
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
+    // Pause by itself when the player looks away: another tab, another window (or the
+    // devtools), or the mouse let go in mouse-look, e.g. by the browser's own Escape handling
+    useEffect(() => {
+        function pause() {
+            dispatchGame('pause');
+        }
+        function onVisibilityChange() {
+            if (document.hidden) pause();
+        }
+        function onPointerLockChange() {
+            if (!document.pointerLockElement && inputControllerRef.current?.mouseLook) pause();
+        }
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('blur', pause);
+        document.addEventListener('pointerlockchange', onPointerLockChange);
+        return () => {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('blur', pause);
+            document.removeEventListener('pointerlockchange', onPointerLockChange);
+        };
+    }, []);
+
+    // Apply and remember the control scheme: mouse-look strafes and orbits the camera, tank turns
     useEffect(() => {
-        // Initialize scene with denser fog
+        controlModeRef.current = controlMode;
+        saveControlMode(controlMode);
+        inputControllerRef.current?.setMouseLook(controlMode === 'mouseLook');
+        cameraControllerRef.current?.setMode(controlMode === 'mouseLook' ? 'orbit' : 'follow');
+    }, [controlMode]);
+
+    // Game input is only on while playing, so typing a new key in a menu doesn't also move
+    // the player and nothing pressed in the meantime plays out on resume
+    const menuOpen = showControls || showSaves || showAudio;
+    useEffect(() => {
+        gameStateRef.current = gameState;
+        if (gameState === 'playing') {
+            setCanContinue(true);
+        }
+        inputControllerRef.current?.setEnabled(!menuOpen && gameState === 'playing');
+    }, [menuOpen, gameState]);
+
+    // Sound only plays during the game; every menu and screen freezes it
+    useEffect(() => {
+        audioSystemRef.current?.setActive(gameState === 'playing');
+    }, [gameState]);
+
+    // Apply and remember the volumes
+    useEffect(() => {
+        audioSettingsRef.current = audioSettings;
+        saveAudioSettings(audioSettings);
+        audioSystemRef.current?.setSettings(audioSettings);
+    }, [audioSettings]);
+
+    // The handle a host page gets through `ref`
+    useImperativeHandle(ref, () => ({
+        pause: () => dispatchGame('pause'),
+        resume: () => dispatchGame('resume'),
+        isPaused: () => gameStateRef.current === 'paused',
+        // loading, title, playing, paused or gameover
+        getGameState: () => gameStateRef.current,
+        // Move the player to { x, z } on the ground
+        teleport: (position) => sceneApiRef.current?.teleport(position),
+        // Spawn an enemy at { x, z }, or at a random spawn point; returns its id
+        spawnEnemy: (position) => sceneApiRef.current?.spawnEnemy(position) ?? null,
+        // Turn the weather to 'calm', 'heavySnow' or 'blizzard'; it eases in unless `immediate`
+        setWeather: (weather, immediate = false) => sceneApiRef.current?.setWeather(weather, immediate),
+        // Set the clock to an hour from 0 to 24
+        setTimeOfDay: (hours) => sceneApiRef.current?.setTimeOfDay(hours),
+        // The current frame as a data URL, e.g. 'image/png' or 'image/jpeg'
+        screenshot: (type = 'image/png') => sceneApiRef.current?.screenshot(type) ?? null
+    }), []);
+
+    useEffect(() => {
+        // Start from the loaded save game, if any; otherwise resolve the world seed
+        // so the same city can be reproduced and shared
+        const { snapshot } = session;
+        const worldSeed = snapshot ? snapshot.seed : (session.seed ?? resolveWorldSeed(seed));
+        console.log('World seed:', worldSeed);
+        dispatchGame('load');
+        setCanContinue(Boolean(snapshot));
+        const sceneConfig = resolveSceneConfig(configRef.current);
+        const { graphics, weather } = sceneConfig;
+
+        // A fresh scene starts with the screen faded in, whatever state the last one ended in
+        fadeRef.current.style.transition = 'none';
+        fadeRef.current.style.opacity = 0;
+
         const scene = new THREE.Scene();
-        scene.fog = new THREE.FogExp2(0x666666, 0.035);
         sceneRef.current = scene;
 
         // Initialize camera with adjusted position
@@ -1084,49 +2336,34 @@ export default function Scene3D() {
         camera.position.set(0, 3, 8);
         cameraRef.current = camera;
 
+        // The audio listener rides on the camera
+        const audioSystem = new AudioSystem(camera, audioSettingsRef.current);
+        audioSystem.setActive(gameStateRef.current === 'playing');
+        audioSystemRef.current = audioSystem;
+
         // Initialize renderer with better shadows
         const renderer = new THREE.WebGLRenderer({ 
-            antialias: true,
+            antialias: graphics.antialias,
             powerPreference: "high-performance"
         });
+        renderer.setPixelRatio(graphics.pixelRatio);
         renderer.setSize(window.innerWidth, window.innerHeight);
-        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.enabled = graphics.shadows;
         renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         THREE.ColorManagement.enabled = true;
         renderer.outputColorSpace = THREE.SRGBColorSpace;
-        containerRef.current.appendChild(renderer.domElement);
+        const container = containerRef.current;
+        container.appendChild(renderer.domElement);
 
         // Store renderer reference in scene for debug system
         scene.renderer = renderer;
 
-        // Enhanced lighting setup
-        const ambientLight = new THREE.AmbientLight(0xffffff, 1.0); // Increased from 0.8
-        scene.add(ambientLight);
-
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 2.0); // Increased from 1.5
-        directionalLight.position.set(5, 10, 5);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        directionalLight.shadow.camera.near = 0.5;
-        directionalLight.shadow.camera.far = 50;
-        directionalLight.shadow.bias = -0.0001;
-        
-        // Adjust shadow camera frustum
-        directionalLight.shadow.camera.left = -15; // Increased from -10
-        directionalLight.shadow.camera.right = 15; // Increased from 10
-        directionalLight.shadow.camera.top = 15; // Increased from 10
-        directionalLight.shadow.camera.bottom = -15; // Increased from -10
-        
-        scene.add(directionalLight);
-
-        // Add some rim lighting
-        const rimLight = new THREE.DirectionalLight(0x6699ff, 1.0); // Increased from 0.8
-        rimLight.position.set(-5, 3, -5);
-        scene.add(rimLight);
+        // Fog, sky and the sun, ambient and rim lights, all following the weather
+        const skySystem = new SkySystem(scene, weather, graphics);
+        skySystemRef.current = skySystem;
 
         // Add a spotlight to follow the character
-        const spotLight = new THREE.SpotLight(0xffffff, 1.0);
+        const spotLight = new THREE.SpotLight(0xffffff, graphics.spotIntensity);
         spotLight.position.set(0, 10, 0);
         spotLight.angle = Math.PI / 4;
         spotLight.penumbra = 0.1;
@@ -1135,51 +2372,240 @@ export default function Scene3D() {
         spotLight.castShadow = true;
         scene.add(spotLight);
 
+        // Snow settling on the ground and roofs, and the footprints left in it
+        const snowCoverSystem = new SnowCoverSystem(renderer);
+        snowCoverSystemRef.current = snowCoverSystem;
+
         // Initialize infinite ground system
-        groundSystemRef.current = new InfiniteGround(scene, '/assets/floor.png');
+        const groundSystem = new InfiniteGround(scene, '/assets/floor.png', snowCoverSystem);
+        groundSystemRef.current = groundSystem;
 
         // Initialize snow system
-        snowSystemRef.current = new SnowSystem(scene);
+        const snowSystem = new SnowSystem(scene, worldSeed, weather);
+        snowSystem.setViewportHeight(renderer.domElement.height);
+        snowSystemRef.current = snowSystem;
+
+        // The game itself runs headless in the simulation; everything below only draws it
+        const simulationOptions = {
+            world: sceneConfig.world,
+            player: sceneConfig.player,
+            enemies: sceneConfig.enemies,
+            weather
+        };
+        const simulation = snapshot
+            ? Simulation.fromSnapshot(snapshot, simulationOptions)
+            : new Simulation({ ...simulationOptions, seed: worldSeed });
+        simulationRef.current = simulation;
 
         // Initialize building system
-        buildingSystemRef.current = new BuildingSystem(scene);
-        buildingSystemRef.current.loadBuildingModel();
+        const buildingSystem = new BuildingSystem(scene, simulation.city, snowCoverSystem);
+        buildingSystemRef.current = buildingSystem;
 
         // Initialize controllers
-        const player = new PlayerCharacter(scene, buildingSystemRef.current);
+        const player = new PlayerCharacter(scene, simulation.player);
         playerRef.current = player;
+        function onFootstep({ running, position }) {
+            audioSystem.playFootstep(running);
+            snowCoverSystem.addFootprint(position.x, position.z);
+        }
+        player.addEventListener('footstep', onFootstep);
         
-        const inputController = new InputController();
+        const inputController = new InputController(container, bindingsRef.current);
+        inputController.setMouseLook(controlModeRef.current === 'mouseLook');
+        inputController.setEnabled(gameStateRef.current === 'playing');
         inputControllerRef.current = inputController;
 
         // Initialize clock for animation timing
         const clock = new THREE.Clock();
         clockRef.current = clock;
 
-        // Load player model and set up camera
-        player.load().then(model => {
-            const cameraController = new CameraController(camera, model, buildingSystemRef.current);
-            cameraControllerRef.current = cameraController;
-        });
 
         // Initialize enemy system
-        enemySystemRef.current = new EnemySystem(scene);
-        enemySystemRef.current.loadEnemyModel();
+        const enemySystem = new EnemySystem(scene, simulation.enemies);
+        enemySystemRef.current = enemySystem;
+
+        // Fade to black while the player lies dead, and back in once they respawn
+        function onPlayerDied() {
+            const fadeDuration = 1;
+            fadeRef.current.style.transition = `opacity ${fadeDuration}s ease ${simulation.player.respawnDelay - fadeDuration}s`;
+            fadeRef.current.style.opacity = 1;
+        }
+        function onPlayerRespawned() {
+            fadeRef.current.style.transition = 'opacity 1s ease';
+            fadeRef.current.style.opacity = 0;
+        }
+        simulation.player.addEventListener('died', onPlayerDied);
+        simulation.player.addEventListener('respawned', onPlayerRespawned);
+
+        // Report kills and the end of the game to the host page
+        function onEnemyKilledEvent({ enemy }) {
+            callbacksRef.current.onEnemyKilled?.({ id: enemy.id, position: enemy.position.clone() });
+        }
+        function onGameOverEvent({ source }) {
+            dispatchGame('gameOver');
+            setCanContinue(false);
+            callbacksRef.current.onGameOver?.({ source, time: simulation.time });
+        }
+        simulation.enemies.addEventListener('killed', onEnemyKilledEvent);
+        simulation.player.addEventListener('gameover', onGameOverEvent);
+
+        // Initialize the player's rifle effects
+        const weaponSystem = new WeaponSystem(scene, simulation.rifle);
+        weaponSystemRef.current = weaponSystem;
 
         // Initialize debug system
-        debugSystemRef.current = new DebugSystem(scene, camera);
-        debugSystemRef.current.setupOutlineEffect(renderer);
+        const debugSystem = new DebugSystem(scene, camera);
+        debugSystem.setupOutlineEffect(renderer);
+        debugSystemRef.current = debugSystem;
+
+        // Load every model and texture before the game starts; the loop below waits for them.
+        // Retrying after an error only downloads what failed, the rest comes from the cache.
+        let assetsReady = false;
+        let disposed = false;
+        function onAssetProgress() {
+            setLoading(loading => loading.status === 'loading'
+                ? { ...loading, progress: assetManager.getProgress() }
+                : loading);
+        }
+        assetManager.addEventListener('progress', onAssetProgress);
+
+        async function loadAssets() {
+            setLoading({ status: 'loading', progress: assetManager.getProgress(), error: null });
+            try {
+                const [model] = await Promise.all([
+                    player.load(),
+                    buildingSystem.loadBuildingModel(),
+                    enemySystem.loadEnemyModel(),
+                    groundSystem.loadTexture()
+                ]);
+                // Unmounted while loading: take back what the systems just added to the scene
+                if (disposed) {
+                    player.dispose();
+                    buildingSystem.dispose();
+                    return;
+                }
+
+                // Set up the camera on the player's model
+                const cameraController = new CameraController(camera, model, simulation.city, simulation.player);
+                cameraController.setMode(controlModeRef.current === 'mouseLook' ? 'orbit' : 'follow');
+                cameraController.mouseSensitivity = sceneConfig.controls.mouseSensitivity;
+                cameraController.stickLookSpeed = sceneConfig.controls.stickLookSpeed;
+                cameraControllerRef.current = cameraController;
+
+                assetsReady = true;
+                clock.getDelta(); // Don't count the time spent loading as one long frame
+                setLoading({ status: 'ready', progress: 1, error: null });
+                dispatchGame(session.play ? 'start' : 'showTitle');
+                if (simulation.player.isGameOver()) {
+                    // A save made on the game over screen
+                    dispatchGame('gameOver');
+                    setCanContinue(false);
+                }
+            } catch (error) {
+                if (disposed) return;
+                console.error('Error loading assets:', error);
+                setLoading({ status: 'error', progress: assetManager.getProgress(), error: error.message });
+            }
+        }
+        retryLoadingRef.current = loadAssets;
+        loadAssets();
+
+        // Fixed-timestep simulation: gameplay always advances in steps of FIXED_TIMESTEP seconds (see Simulation.advance),
+        // however often the display refreshes, and rendering interpolates between the last two steps
+        const MAX_FRAME_TIME = 0.25; // Avoid a spiral of death after a long stall (e.g. a background tab)
+        const reportedPlayerPosition = new THREE.Vector3().copy(simulation.player.position);
+        let reportedPlayerHeading = simulation.player.rotation.y;
 
         // Animation loop
+        let animationFrame;
         function animate() {
-            requestAnimationFrame(animate);
+            animationFrame = requestAnimationFrame(animate);
+
+            const frameTime = Math.min(clock.getDelta(), MAX_FRAME_TIME);
 
-            const deltaTime = clock.getDelta();
+            // Gather keyboard, gamepad and touch input for this frame (including the debug toggle)
+            const inputController = inputControllerRef.current;
+            inputController.poll();
+            if (inputController.consumePress('debug')) {
+                debugSystemRef.current?.toggleDebugMode();
+            }
+            if (inputController.consumePress('controlMode')) {
+                setControlMode(mode => mode === 'mouseLook' ? 'tank' : 'mouseLook');
+            }
+            if (inputController.consumePress('mute')) {
+                setAudioSettings(settings => ({ ...settings, muted: !settings.muted }));
+            }
+
+            // Mouse and right stick turn the camera in mouse-look mode; the wheel zooms
+            const cameraController = cameraControllerRef.current;
+            const mouseDelta = inputController.consumeMouseDelta();
+            const wheelDelta = inputController.consumeWheelDelta();
+            if (cameraController) {
+                cameraController.look(
+                    mouseDelta,
+                    { x: inputController.getAxis('lookX'), y: inputController.getAxis('lookY') },
+                    frameTime
+                );
+                cameraController.zoom(wheelDelta);
+                if (inputController.consumePress('shoulderSwap')) {
+                    cameraController.swapShoulder();
+                }
+                if (inputController.consumePress('firstPerson')) {
+                    cameraController.setFirstPerson(!cameraController.firstPerson);
+                }
+            }
             
             // Update player and animations
-            if (playerRef.current && playerRef.current.model) {
-                inputControllerRef.current.update(playerRef.current);
-                playerRef.current.update(deltaTime);
+            if (assetsReady) {
+                const simulation = simulationRef.current;
+                // Outside the playing state no time passes in the game, but the views still
+                // follow the simulation, so a teleport or spawn from the host page shows up
+                const gameTime = gameStateRef.current === 'playing' ? frameTime : 0;
+                const alpha = simulation.advance(gameTime, () => {
+                    const input = inputController.readInput();
+                    if (inputController.mouseLook && cameraControllerRef.current) {
+                        input.lookYaw = cameraControllerRef.current.yaw;
+                    }
+                    return input;
+                });
+
+                // Tell the host page when the player has moved or turned
+                const { position, rotation } = simulation.player;
+                if (!position.equals(reportedPlayerPosition) || rotation.y !== reportedPlayerHeading) {
+                    reportedPlayerPosition.copy(position);
+                    reportedPlayerHeading = rotation.y;
+                    callbacksRef.current.onPlayerMove?.({ position: position.clone(), heading: rotation.y });
+                }
+
+                // Bring the views in line with the simulation, then place models
+                // between the previous and current simulation states
+                buildingSystemRef.current.update();
+                enemySystemRef.current.update(gameTime);
+                weaponSystemRef.current.update(gameTime);
+                playerRef.current.update(gameTime);
+                playerRef.current.interpolate(alpha);
+                enemySystemRef.current.interpolate(alpha);
+
+                // Frost the screen edges as exposure rises
+                const exposure = simulation.exposure.exposure;
+                frostRef.current.style.opacity = Math.pow(exposure, 1.5);
+
+                // The HUD follows the rendered player, like the camera
+                const { player: playerState, rifle } = simulation;
+                hudRef.current?.update({
+                    health: playerState.health,
+                    maxHealth: playerState.maxHealth,
+                    ammo: rifle.ammo,
+                    magazineSize: rifle.magazineSize,
+                    reserveAmmo: rifle.reserveAmmo,
+                    isReloading: rifle.isReloading,
+                    exposure,
+                    position: playerRef.current.model.position,
+                    heading: playerRef.current.model.rotation.y,
+                    buildings: simulation.city.buildings,
+                    enemies: simulation.enemies.enemies,
+                    weather: simulation.weather
+                });
 
                 // Update spotlight position to follow character
                 spotLight.position.set(
@@ -1189,17 +2615,22 @@ export default function Scene3D() {
                 );
                 spotLight.target = playerRef.current.model;
 
-                // Update all systems with player position
+                // Purely visual systems follow the rendered player position every frame
                 const playerPosition = playerRef.current.model.position;
                 groundSystemRef.current.update(playerPosition);
-                snowSystemRef.current.update(playerPosition);
-                buildingSystemRef.current.update(playerPosition);
-                enemySystemRef.current.update(deltaTime);
+                snowSystemRef.current.update(playerPosition, gameTime, simulation.weather);
+                skySystemRef.current.update(simulation.weather, playerPosition);
+                snowCoverSystemRef.current.update(gameTime, playerPosition, simulation.weather, simulation.enemies.enemies);
+                audioSystemRef.current.update(gameTime, {
+                    snowIntensity: simulation.weather.snowfall,
+                    enemyViews: enemySystemRef.current.views,
+                    enemies: simulation.enemies.enemies
+                });
             }
 
             // Update camera
             if (cameraControllerRef.current) {
-                cameraControllerRef.current.update();
+                cameraControllerRef.current.update(frameTime);
             }
 
             // Update debug system
@@ -1222,23 +2653,207 @@ export default function Scene3D() {
             camera.aspect = window.innerWidth / window.innerHeight;
             camera.updateProjectionMatrix();
             renderer.setSize(window.innerWidth, window.innerHeight);
+            snowSystem.setViewportHeight(renderer.domElement.height);
             if (debugSystemRef.current?.composer) {
                 debugSystemRef.current.composer.setSize(window.innerWidth, window.innerHeight);
             }
         }
 
+        // Autosave on an interval and when the page is closed or hidden, but not while dead
+        function autosave() {
+            if (!simulation.player.isDead) {
+                writeSave('autosave', simulation.serialize());
+            }
+        }
+        const autosaveTimer = setInterval(autosave, AUTOSAVE_INTERVAL * 1000);
+        window.addEventListener('pagehide', autosave);
+
         window.addEventListener('resize', onWindowResize);
+
+        // What the handle passed to the host page's ref does with this scene
+        sceneApiRef.current = {
+            teleport(position) {
+                simulation.teleportPlayer(position);
+            },
+            spawnEnemy(position) {
+                return simulation.spawnEnemy(position).id;
+            },
+            setWeather(weather, immediate) {
+                simulation.weather.setState(weather, { immediate });
+            },
+            setTimeOfDay(hours) {
+                simulation.weather.setTimeOfDay(hours);
+            },
+            screenshot(type) {
+                // The drawing buffer is only readable right after rendering into it
+                renderer.render(scene, camera);
+                return renderer.domElement.toDataURL(type);
+            }
+        };
+
         animate();
 
-        // Cleanup
+        // Cleanup: every system gives back what it added to the scene, the page and the GPU,
+        // so the component can be mounted again (or twice under StrictMode) without leaking
         return () => {
+            disposed = true;
+            assetManager.removeEventListener('progress', onAssetProgress);
+            cancelAnimationFrame(animationFrame);
+            clearInterval(autosaveTimer);
+            window.removeEventListener('pagehide', autosave);
             window.removeEventListener('resize', onWindowResize);
-            containerRef.current?.removeChild(renderer.domElement);
-            if (debugSystemRef.current) {
-                debugSystemRef.current.cleanup();
-            }
+            simulation.player.removeEventListener('died', onPlayerDied);
+            simulation.player.removeEventListener('respawned', onPlayerRespawned);
+            simulation.enemies.removeEventListener('killed', onEnemyKilledEvent);
+            simulation.player.removeEventListener('gameover', onGameOverEvent);
+            player.removeEventListener('footstep', onFootstep);
+            sceneApiRef.current = null;
+
+            inputController.dispose();
+            cameraControllerRef.current = null;
+            debugSystem.dispose();
+            player.dispose();
+            enemySystem.dispose();
+            weaponSystem.dispose();
+            buildingSystem.dispose();
+            groundSystem.dispose();
+            snowSystem.dispose();
+            skySystem.dispose();
+            snowCoverSystem.dispose();
+            audioSystem.dispose();
+            audioSystemRef.current = null;
+            spotLight.dispose();
+            scene.clear();
+
+            renderer.dispose();
+            renderer.forceContextLoss();
+            container.removeChild(renderer.domElement);
         };
-    }, []);
-
-    return <div ref={containerRef} style={{ width: '100%', height: '100vh' }} />;
-} 
\ No newline at end of file
+    }, [seed, session]);
+
+    return (
+        <div ref={containerRef} style={{ width: '100%', height: '100vh', position: 'relative' }}>
+            <div
+                ref={frostRef}
+                style={{
+                    position: 'absolute',
+                    inset: 0,
+                    background: 'radial-gradient(ellipse at center, rgba(220, 235, 255, 0) 45%, rgba(220, 235, 255, 0.85) 100%)',
+                    opacity: 0,
+                    pointerEvents: 'none'
+                }}
+            />
+            {(gameState === 'playing' || gameState === 'paused' || gameState === 'gameover') && (
+                <Hud ref={hudRef} />
+            )}
+            {gameState === 'playing' && (
+                <button
+                    onClick={() => dispatchGame('pause')}
+                    style={{
+                        position: 'absolute',
+                        top: '44px',
+                        right: '10px',
+                        padding: '5px 10px',
+                        backgroundColor: '#333',
+                        color: '#fff',
+                        border: 'none',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Menu (Esc)
+                </button>
+            )}
+            <div
+                ref={fadeRef}
+                style={{
+                    position: 'absolute',
+                    inset: 0,
+                    backgroundColor: '#000',
+                    opacity: 0,
+                    pointerEvents: 'none'
+                }}
+            />
+            {gameState === 'loading' && (
+                <LoadingScreen
+                    progress={loading.progress}
+                    error={loading.error}
+                    onRetry={() => retryLoadingRef.current?.()}
+                />
+            )}
+            {gameState === 'title' && !menuOpen && (
+                <GameMenu
+                    title="El Eternauta"
+                    items={[
+                        { label: canContinue ? 'Continue' : 'Play', onClick: () => dispatchGame('start') },
+                        ...(canContinue ? [{ label: 'New game', onClick: startNewGame }] : []),
+                        { label: 'Load game', onClick: () => setShowSaves(true) },
+                        { label: 'Settings', onClick: () => setShowControls(true) },
+                        { label: 'Audio', onClick: () => setShowAudio(true) }
+                    ]}
+                />
+            )}
+            {gameState === 'paused' && !menuOpen && (
+                <GameMenu
+                    title="Paused"
+                    items={[
+                        { label: 'Resume', onClick: () => dispatchGame('resume') },
+                        { label: 'Settings', onClick: () => setShowControls(true) },
+                        { label: 'Audio', onClick: () => setShowAudio(true) },
+                        { label: 'Save / Load', onClick: () => setShowSaves(true) },
+                        { label: 'Restart', onClick: restartGame },
+                        { label: 'Quit to title', onClick: quitToTitle }
+                    ]}
+                    onEscape={() => dispatchGame('resume')}
+                />
+            )}
+            {gameState === 'gameover' && !menuOpen && (
+                <GameMenu
+                    title="Game over"
+                    message="You have no lives left."
+                    items={[
+                        { label: 'Restart', onClick: restartGame },
+                        { label: 'Load game', onClick: () => setShowSaves(true) },
+                        { label: 'Quit to title', onClick: quitToTitle }
+                    ]}
+                />
+            )}
+            {showControls && (
+                <ControlsMenu
+                    bindings={bindings}
+                    onChange={changeBindings}
+                    onReset={resetBindings}
+                    controlMode={controlMode}
+                    onControlModeChange={setControlMode}
+                    onClose={() => setShowControls(false)}
+                />
+            )}
+            {showAudio && (
+                <AudioMenu
+                    settings={audioSettings}
+                    onChange={setAudioSettings}
+                    onClose={() => setShowAudio(false)}
+                />
+            )}
+            {showSaves && (
+                <SaveMenu
+                    message={saveMessage}
+                    onSave={saveToSlot}
+                    onLoad={loadFromSlot}
+                    onDelete={(slotId) => {
+                        deleteSave(slotId);
+                        setSaveMessage('Save deleted.');
+                    }}
+                    onExport={exportGame}
+                    onImport={importGame}
+                    onNewGame={startNewGame}
+                    onClose={() => {
+                        setSaveMessage('');
+                        setShowSaves(false);
+                    }}
+                />
+            )}
+        </div>
+    );
+});
+
+export default Scene3D;
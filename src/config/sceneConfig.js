@@ -0,0 +1,77 @@
+// Everything a page hosting Scene3D can tune, grouped by area. The `config` prop
+// is merged over these defaults one group at a time, so a page only passes what
+// it changes, e.g. { enemies: { maxEnemies: 10 }, graphics: { shadows: false } }.
+// The config is read when a game starts (or is loaded); changing it later takes
+// effect with the next game.
+export const DEFAULT_SCENE_CONFIG = Object.freeze({
+    world: Object.freeze({
+        gridSize: 25, // Meters per city cell; each cell holds at most one building
+        buildingChance: 0.8, // Chance that a cell holds a building
+        loadRadius: 2, // Cells around the player that get their building loaded
+        unloadRadius: 3 // Buildings further than this many cells away are unloaded
+    }),
+    player: Object.freeze({
+        maxHealth: 100,
+        lives: Infinity // Deaths before the game is over; Infinity always respawns
+    }),
+    enemies: Object.freeze({
+        maxEnemies: 5, // Enemies kept alive around the spawn point
+        spawnRadius: 50, // Meters from the spawn point new enemies may appear
+        chaseSpeed: 6.6, // Meters per second
+        attackDamage: 10
+    }),
+    weather: Object.freeze({
+        fogColor: 0x666666, // In daylight; it darkens at night
+        fogDensity: 0.035, // In heavy snow; calm weather thins the fog and a blizzard thickens it
+        snowCount: 3000, // Snowflake particles in heavy snow; a blizzard shows twice as many. They are drawn on the GPU, so 50000 is fine
+        snowFallSpeed: 1.2, // Meters per second
+        snowIntensity: 1, // Scales how fast the exposure meter fills; 0 makes the snow harmless
+        initialWeather: 'heavySnow', // 'calm', 'heavySnow' or 'blizzard'
+        // [{ weather, duration }] to play in order (seconds) and repeat; empty changes the weather at random
+        schedule: Object.freeze([]),
+        timeOfDay: 10, // Hour the game starts at
+        dayLength: 1440, // Seconds of play per 24 hours; 0 keeps the time of day fixed
+        snowCover: 0 // Snow already lying on the ground and roofs when the game starts, 0 to 1
+    }),
+    graphics: Object.freeze({
+        antialias: true,
+        pixelRatio: 1, // e.g. window.devicePixelRatio for sharper rendering on high-DPI screens
+        shadows: true,
+        shadowMapSize: 2048,
+        ambientIntensity: 1.0,
+        sunIntensity: 2.0,
+        rimIntensity: 1.0,
+        spotIntensity: 1.0 // The light following the player
+    }),
+    controls: Object.freeze({
+        controlMode: 'tank', // 'tank' or 'mouseLook' for a first-time player; after that the game remembers theirs
+        mouseSensitivity: 0.0025, // Radians per pixel in mouse-look
+        stickLookSpeed: 2.5 // Radians per second at full right-stick deflection
+    })
+});
+
+// Merge a partial config over the defaults. Unknown settings and values of the
+// wrong type are reported and ignored rather than breaking the scene.
+export function resolveSceneConfig(config) {
+    const groups = config || {};
+    for (const group of Object.keys(groups)) {
+        if (!Object.hasOwn(DEFAULT_SCENE_CONFIG, group)) {
+            console.warn(`Unknown Scene3D config group "${group}"`);
+        }
+    }
+
+    const resolved = {};
+    for (const [group, defaults] of Object.entries(DEFAULT_SCENE_CONFIG)) {
+        resolved[group] = { ...defaults };
+        for (const [key, value] of Object.entries(groups[group] || {})) {
+            if (!Object.hasOwn(defaults, key)) {
+                console.warn(`Unknown Scene3D config setting "${group}.${key}"`);
+            } else if (typeof value !== typeof defaults[key]) {
+                console.warn(`Scene3D config setting "${group}.${key}" should be a ${typeof defaults[key]}, got`, value);
+            } else {
+                resolved[group][key] = value;
+            }
+        }
+    }
+    return resolved;
+}
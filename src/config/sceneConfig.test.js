@@ -0,0 +1,39 @@
+import { DEFAULT_SCENE_CONFIG, resolveSceneConfig } from './sceneConfig';
+
+describe('resolveSceneConfig', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('merges settings over the defaults one group at a time', () => {
+        const resolved = resolveSceneConfig({ enemies: { maxEnemies: 10 } });
+
+        expect(resolved.enemies).toEqual({ ...DEFAULT_SCENE_CONFIG.enemies, maxEnemies: 10 });
+        expect(resolved.world).toEqual(DEFAULT_SCENE_CONFIG.world);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('ignores settings of the wrong type', () => {
+        const resolved = resolveSceneConfig({ graphics: { shadows: 'no' } });
+
+        expect(resolved.graphics.shadows).toBe(DEFAULT_SCENE_CONFIG.graphics.shadows);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test.each(['toString', 'constructor', 'hasOwnProperty'])('reports a "%s" group as unknown', (group) => {
+        resolveSceneConfig({ [group]: { gridSize: 10 } });
+
+        expect(console.warn).toHaveBeenCalledWith(`Unknown Scene3D config group "${group}"`);
+    });
+
+    test.each(['toString', 'constructor', 'valueOf'])('reports a "world.%s" setting as unknown', (key) => {
+        const resolved = resolveSceneConfig({ world: { [key]: 1 } });
+
+        expect(console.warn).toHaveBeenCalledWith(`Unknown Scene3D config setting "world.${key}"`);
+        expect(Object.hasOwn(resolved.world, key)).toBe(false);
+    });
+});
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import CollisionWorld from './CollisionWorld';
+import { createRandom, hashSeed } from './random';
+
+// Per-model placement data, indexed like the building_00 / building_01 FBX files
+export const BUILDING_TYPES = [
+    { height: 6.47, collisionHeightFactor: 1.2 },
+    { height: 6.8, collisionHeightFactor: 1.4 } // building_01 is 5% higher, with a taller collision box
+];
+
+// Procedural city layout: decides which grid cells hold a building, keeps the
+// buildings around the player loaded and answers collision queries against them.
+// Plain data only; BuildingSystem in Scene3D turns these buildings into meshes.
+// `options` overrides the layout tuning (see the world group in sceneConfig.js).
+export default class City {
+    constructor(seed, options = {}) {
+        this.seed = seed;
+        this.buildings = new Map(); // Loaded buildings by cell key
+        this.gridSize = options.gridSize ?? 25; // Reduced to place buildings closer
+        this.buildingSpacing = 12; // Reduced spacing between buildings
+        this.buildingChance = options.buildingChance ?? 0.8; // Increased chance of building spawn
+        this.loadRadius = options.loadRadius ?? 2; // Cells around the player that get a building (5x5)
+        this.unloadRadius = options.unloadRadius ?? 3; // Buildings further than this many cells away are unloaded
+        this.cellCache = new Map(); // Generated descriptor (or null for empty lots) per cell key, in LRU order
+        this.maxCachedCells = 1024; // Cap on remembered cells so long walks don't grow without bound
+        this.collisionWorld = new CollisionWorld(this.gridSize); // Spatial grid of building footprints
+    }
+
+    // Every cell gets its own PRNG derived from the world seed and its "x,z" key,
+    // so a cell always produces the same building regardless of visit order
+    getCellRandom(key) {
+        return createRandom(hashSeed(this.seed, 'building', key));
+    }
+
+    // Generate the plain-data description of a cell: null for an empty lot,
+    // otherwise which model to use and how it is rotated, scaled and offset
+    generateCellDescriptor(x, z) {
+        const random = this.getCellRandom(`${x},${z}`);
+
+        // Random chance to place a building
+        if (random() >= this.buildingChance) return null;
+
+        // Don't place buildings too close to the origin (player spawn)
+        const distanceFromOrigin = Math.sqrt(x * x + z * z);
+        if (distanceFromOrigin <= 0.3) return null; // Allow buildings even closer to spawn
+
+        // Randomly select a building model
+        const buildingIndex = Math.floor(random() * BUILDING_TYPES.length);
+
+        // Random rotation (0, 90, 180, or 270 degrees)
+        const rotation = Math.floor(random() * 4) * (Math.PI / 2);
+
+        // Random scale variation (much larger than before)
+        const baseScale = 25; // Increased base scale for buildings
+        const scaleVar = 0.9 + random() * 0.2; // 90% to 110% of base scale
+        const scale = baseScale * scaleVar;
+
+        // Random position within the grid cell (with some offset from edges)
+        const offsetX = (random() - 0.5) * (this.gridSize - this.buildingSpacing);
+        const offsetZ = (random() - 0.5) * (this.gridSize - this.buildingSpacing);
+
+        return { buildingIndex, rotation, scale, offsetX, offsetZ };
+    }
+
+    // Look up a cell descriptor, generating and caching it on first visit.
+    // The cache is kept in LRU order: Map iteration order is insertion order,
+    // so re-inserting a key on access moves it to the back.
+    getCellDescriptor(key) {
+        if (this.cellCache.has(key)) {
+            const descriptor = this.cellCache.get(key);
+            this.cellCache.delete(key);
+            this.cellCache.set(key, descriptor);
+            return descriptor;
+        }
+
+        const [x, z] = key.split(',').map(Number);
+        const descriptor = this.generateCellDescriptor(x, z);
+        this.cellCache.set(key, descriptor);
+        this.evictCells();
+        return descriptor;
+    }
+
+    // Drop the least recently used descriptors once the cache exceeds its cap.
+    // Cells that currently have a building loaded are never evicted.
+    evictCells() {
+        if (this.cellCache.size <= this.maxCachedCells) return;
+
+        for (const key of this.cellCache.keys()) {
+            if (this.cellCache.size <= this.maxCachedCells) break;
+            if (!this.buildings.has(key)) {
+                this.cellCache.delete(key);
+            }
+        }
+    }
+
+    // Place a building in the world from its cell descriptor and register its collision box
+    createBuilding(key, x, z, descriptor) {
+        const { buildingIndex, rotation, scale, offsetX, offsetZ } = descriptor;
+        const buildingType = BUILDING_TYPES[buildingIndex];
+
+        // Different heights for different building types
+        const position = new THREE.Vector3(
+            x * this.gridSize + offsetX,
+            buildingType.height,
+            z * this.gridSize + offsetZ
+        );
+
+        // Collision box for the building (adjusted for each building type)
+        const boxSize = scale * 0.8; // Increased from 0.6 to 0.8 for tighter collision
+        const boxHeight = boxSize * buildingType.collisionHeightFactor;
+        const collider = this.collisionWorld.addBox({
+            x: position.x,
+            z: position.z,
+            width: boxSize,
+            depth: boxSize,
+            rotation,
+            minY: position.y - boxHeight / 2,
+            maxY: position.y + boxHeight / 2,
+            userData: key
+        });
+
+        return { key, buildingIndex, position, rotation, scale, boxSize, boxHeight, collider };
+    }
+
+    // Unload a building; its descriptor stays cached so it can be restored
+    unloadBuilding(key) {
+        this.collisionWorld.remove(this.buildings.get(key).collider);
+        this.buildings.delete(key);
+    }
+
+    // True if a circle on the ground plane overlaps any building footprint
+    checkCollision(position, radius) {
+        return this.collisionWorld.testCircle(position, radius);
+    }
+
+    // Move a circle, sliding it along any building walls it runs into
+    slideCircle(position, displacement, radius) {
+        return this.collisionWorld.slideCircle(position, displacement, radius);
+    }
+
+    // Nearest building hit along a normalized ray, or null
+    raycast(origin, direction, maxDistance) {
+        return this.collisionWorld.raycast(origin, direction, maxDistance);
+    }
+
+    update(playerPosition) {
+        // Convert player position to grid coordinates
+        const gridX = Math.floor(playerPosition.x / this.gridSize);
+        const gridZ = Math.floor(playerPosition.z / this.gridSize);
+
+        // Load buildings in the grid around the player
+        for (let x = gridX - this.loadRadius; x <= gridX + this.loadRadius; x++) {
+            for (let z = gridZ - this.loadRadius; z <= gridZ + this.loadRadius; z++) {
+                const key = `${x},${z}`;
+                if (this.buildings.has(key)) continue;
+
+                // Restore the cached building for this cell, or generate it on first visit
+                const descriptor = this.getCellDescriptor(key);
+                if (descriptor) {
+                    this.buildings.set(key, this.createBuilding(key, x, z, descriptor));
+                }
+            }
+        }
+
+        // Unload buildings that are too far from the player
+        for (const key of this.buildings.keys()) {
+            const [x, z] = key.split(',').map(Number);
+            if (Math.abs(x - gridX) > this.unloadRadius || Math.abs(z - gridZ) > this.unloadRadius) {
+                this.unloadBuilding(key);
+            }
+        }
+    }
+}
@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import City from './City';
+
+describe('City cell cache', () => {
+    test('evicts the least recently used cells once it is over its cap', () => {
+        const city = new City('lru');
+        city.maxCachedCells = 4;
+
+        for (const key of ['100,0', '101,0', '102,0', '103,0']) {
+            city.getCellDescriptor(key);
+        }
+        // Touching the oldest cell makes it the most recently used one
+        city.getCellDescriptor('100,0');
+        city.getCellDescriptor('104,0');
+        city.getCellDescriptor('105,0');
+
+        expect([...city.cellCache.keys()]).toEqual(['103,0', '100,0', '104,0', '105,0']);
+    });
+
+    test('a revisited evicted cell gets the same building back', () => {
+        const city = new City('lru');
+        // A cell with a building, so there is something to compare
+        let x = 100;
+        while (!city.generateCellDescriptor(x, 0)) x++;
+        const key = `${x},0`;
+        city.maxCachedCells = 2;
+        const first = city.getCellDescriptor(key);
+
+        city.getCellDescriptor('0,100');
+        city.getCellDescriptor('0,101');
+        expect(city.cellCache.has(key)).toBe(false);
+
+        expect(city.getCellDescriptor(key)).toEqual(first);
+    });
+
+    test('never evicts cells whose building is loaded', () => {
+        const city = new City('lru');
+        city.update(new THREE.Vector3(0, 2, 0));
+        city.maxCachedCells = 1;
+
+        city.getCellDescriptor('100,0');
+
+        for (const key of city.buildings.keys()) {
+            expect(city.cellCache.has(key)).toBe(true);
+        }
+        expect(city.cellCache.has('100,0')).toBe(false);
+    });
+});
+
+describe('City layout', () => {
+    // The buildings loaded around a point, without their collision boxes
+    function layoutAround(city, position) {
+        city.update(position);
+        return [...city.buildings.values()].map(({ collider, ...building }) => building);
+    }
+
+    test('the same seed gives the same layout', () => {
+        const position = new THREE.Vector3(60, 2, -40);
+        const layout = layoutAround(new City('layout'), position);
+
+        expect(layout.length).toBeGreaterThan(0);
+        expect(layoutAround(new City('layout'), position)).toEqual(layout);
+        expect(layoutAround(new City('another layout'), position)).not.toEqual(layout);
+    });
+
+    test('a cell gets the same building whichever way the player comes', () => {
+        const direct = new City('layout');
+        direct.update(new THREE.Vector3(0, 2, 0));
+
+        const roundabout = new City('layout');
+        roundabout.update(new THREE.Vector3(200, 2, 200));
+        roundabout.update(new THREE.Vector3(0, 2, 0));
+
+        expect(roundabout.getCellDescriptor('1,1')).toEqual(direct.getCellDescriptor('1,1'));
+    });
+});
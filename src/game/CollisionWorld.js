@@ -0,0 +1,238 @@
+import * as THREE from 'three';
+
+// Uniform spatial grid of oriented boxes (rotated about Y only), keyed by "x,z" cells
+// the same way BuildingSystem keys its grid. Queries only look at the cells they touch,
+// so their cost stays flat no matter how many buildings have been loaded.
+export default class CollisionWorld {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "x,z" -> Set of colliders overlapping that cell
+        this.colliders = new Set();
+        this.contactSkin = 0.01; // Walls closer than this count as touching when sliding
+    }
+
+    // Register a box centered at (x, z) with the given footprint and rotation
+    addBox({ x, z, width, depth, rotation = 0, minY = -Infinity, maxY = Infinity, userData = null }) {
+        const collider = {
+            x,
+            z,
+            halfWidth: width / 2,
+            halfDepth: depth / 2,
+            rotation,
+            cos: Math.cos(rotation),
+            sin: Math.sin(rotation),
+            minY,
+            maxY,
+            userData,
+            cellKeys: []
+        };
+
+        // Axis-aligned bounds of the rotated footprint decide which cells the box lives in
+        const extentX = Math.abs(collider.cos) * collider.halfWidth + Math.abs(collider.sin) * collider.halfDepth;
+        const extentZ = Math.abs(collider.sin) * collider.halfWidth + Math.abs(collider.cos) * collider.halfDepth;
+        this.forEachCellKey(x - extentX, z - extentZ, x + extentX, z + extentZ, (key) => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, new Set());
+            }
+            this.cells.get(key).add(collider);
+            collider.cellKeys.push(key);
+        });
+
+        this.colliders.add(collider);
+        return collider;
+    }
+
+    remove(collider) {
+        for (const key of collider.cellKeys) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            cell.delete(collider);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        collider.cellKeys = [];
+        this.colliders.delete(collider);
+    }
+
+    forEachCellKey(minX, minZ, maxX, maxZ, callback) {
+        const startX = Math.floor(minX / this.cellSize);
+        const endX = Math.floor(maxX / this.cellSize);
+        const startZ = Math.floor(minZ / this.cellSize);
+        const endZ = Math.floor(maxZ / this.cellSize);
+        for (let cellX = startX; cellX <= endX; cellX++) {
+            for (let cellZ = startZ; cellZ <= endZ; cellZ++) {
+                callback(`${cellX},${cellZ}`);
+            }
+        }
+    }
+
+    // All colliders whose cells overlap the given rectangle
+    query(minX, minZ, maxX, maxZ) {
+        const result = new Set();
+        this.forEachCellKey(minX, minZ, maxX, maxZ, (key) => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach((collider) => result.add(collider));
+            }
+        });
+        return result;
+    }
+
+    // World XZ offset from the box center -> box local space (undo the Y rotation)
+    toLocal(collider, dx, dz) {
+        return {
+            x: dx * collider.cos - dz * collider.sin,
+            z: dx * collider.sin + dz * collider.cos
+        };
+    }
+
+    // Box local XZ direction -> world space
+    toWorld(collider, lx, lz) {
+        return {
+            x: lx * collider.cos + lz * collider.sin,
+            z: -lx * collider.sin + lz * collider.cos
+        };
+    }
+
+    // Contact between a circle on the ground plane and a box: the world-space normal
+    // pointing out of the box and how deep the circle penetrates, or null if they don't touch
+    circleContact(collider, x, z, radius) {
+        const local = this.toLocal(collider, x - collider.x, z - collider.z);
+        const closestX = THREE.MathUtils.clamp(local.x, -collider.halfWidth, collider.halfWidth);
+        const closestZ = THREE.MathUtils.clamp(local.z, -collider.halfDepth, collider.halfDepth);
+        const dx = local.x - closestX;
+        const dz = local.z - closestZ;
+        const distanceSq = dx * dx + dz * dz;
+
+        if (distanceSq > 0) {
+            if (distanceSq >= radius * radius) return null;
+            const distance = Math.sqrt(distanceSq);
+            const normal = this.toWorld(collider, dx / distance, dz / distance);
+            return { normal: new THREE.Vector3(normal.x, 0, normal.z), depth: radius - distance, collider };
+        }
+
+        // The center is inside the box: push out through the nearest face
+        const toFaceX = collider.halfWidth - Math.abs(local.x);
+        const toFaceZ = collider.halfDepth - Math.abs(local.z);
+        const normal = toFaceX < toFaceZ
+            ? this.toWorld(collider, Math.sign(local.x) || 1, 0)
+            : this.toWorld(collider, 0, Math.sign(local.z) || 1);
+        return {
+            normal: new THREE.Vector3(normal.x, 0, normal.z),
+            depth: Math.min(toFaceX, toFaceZ) + radius,
+            collider
+        };
+    }
+
+    // Every contact for a circle at the given position
+    getContacts(position, radius) {
+        const contacts = [];
+        const candidates = this.query(position.x - radius, position.z - radius, position.x + radius, position.z + radius);
+        for (const collider of candidates) {
+            if (position.y !== undefined && (position.y < collider.minY || position.y > collider.maxY)) continue;
+            const contact = this.circleContact(collider, position.x, position.z, radius);
+            if (contact) {
+                contacts.push(contact);
+            }
+        }
+        return contacts;
+    }
+
+    testCircle(position, radius) {
+        return this.getContacts(position, radius).length > 0;
+    }
+
+    // Move a circle by a horizontal displacement. Motion into a wall the circle is touching is
+    // projected onto the wall's tangent so it glides along it, then any remaining penetration is
+    // pushed back out. Returns the corrected position and the slide vector actually travelled.
+    slideCircle(position, displacement, radius, iterations = 3) {
+        const motion = new THREE.Vector3(displacement.x, 0, displacement.z);
+        const normals = [];
+
+        // Drop the part of the motion that points into walls we are already in contact with
+        for (const { normal } of this.getContacts(position, radius + this.contactSkin)) {
+            const into = motion.dot(normal);
+            if (into < 0) {
+                motion.addScaledVector(normal, -into);
+                normals.push(normal);
+            }
+        }
+
+        const target = position.clone();
+        target.x += motion.x;
+        target.z += motion.z;
+
+        // Resolve whatever penetration is left, e.g. from running into a wall or a corner
+        for (let i = 0; i < iterations; i++) {
+            const contacts = this.getContacts(target, radius);
+            if (contacts.length === 0) break;
+            for (const { normal, depth } of contacts) {
+                target.x += normal.x * depth;
+                target.z += normal.z * depth;
+                normals.push(normal);
+            }
+        }
+
+        const slide = target.clone().sub(position);
+        slide.y = 0;
+        return { position: target, slide, blocked: normals.length > 0, normals };
+    }
+
+    // Nearest hit of a ray against the boxes, or null. Direction must be normalized.
+    raycast(origin, direction, maxDistance) {
+        const endX = origin.x + direction.x * maxDistance;
+        const endZ = origin.z + direction.z * maxDistance;
+        const candidates = this.query(
+            Math.min(origin.x, endX), Math.min(origin.z, endZ),
+            Math.max(origin.x, endX), Math.max(origin.z, endZ)
+        );
+
+        let nearest = null;
+        for (const collider of candidates) {
+            const distance = this.rayBoxDistance(collider, origin, direction);
+            if (distance !== null && distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+                nearest = { distance, collider };
+            }
+        }
+
+        if (nearest) {
+            nearest.point = origin.clone().addScaledVector(direction, nearest.distance);
+        }
+        return nearest;
+    }
+
+    // Slab test in box local space; returns 0 when the origin is inside the box
+    rayBoxDistance(collider, origin, direction) {
+        const localOrigin = this.toLocal(collider, origin.x - collider.x, origin.z - collider.z);
+        const localDirection = this.toLocal(collider, direction.x, direction.z);
+        const slabs = [
+            [localOrigin.x, localDirection.x, -collider.halfWidth, collider.halfWidth],
+            [origin.y, direction.y, collider.minY, collider.maxY],
+            [localOrigin.z, localDirection.z, -collider.halfDepth, collider.halfDepth]
+        ];
+
+        let tMin = -Infinity;
+        let tMax = Infinity;
+        for (const [start, step, min, max] of slabs) {
+            if (Math.abs(step) < 1e-9) {
+                if (start < min || start > max) return null;
+                continue;
+            }
+            let t1 = (min - start) / step;
+            let t2 = (max - start) / step;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return null;
+        }
+
+        if (tMax < 0) return null;
+        return Math.max(tMin, 0);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.colliders.clear();
+    }
+}
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+import CollisionWorld from './CollisionWorld';
+
+// A 10 x 10 building footprint centered on the origin, 10 meters tall
+function createWorld(rotation = 0) {
+    const world = new CollisionWorld(25);
+    world.addBox({ x: 0, z: 0, width: 10, depth: 10, rotation, minY: 0, maxY: 10 });
+    return world;
+}
+
+describe('CollisionWorld circles', () => {
+    test('pushes a circle out of a rotated box through the nearest face', () => {
+        const world = new CollisionWorld(25);
+        world.addBox({ x: 0, z: 0, width: 10, depth: 4, rotation: Math.PI / 4 });
+        // Just inside the long face, along the box's local +Z axis
+        const localZ = new THREE.Vector3(Math.sin(Math.PI / 4), 0, Math.cos(Math.PI / 4));
+        const position = localZ.clone().multiplyScalar(1.5);
+
+        const { position: resolved, blocked } = world.slideCircle(position, new THREE.Vector3(), 1);
+
+        expect(blocked).toBe(true);
+        expect(world.testCircle(resolved, 1 - 1e-6)).toBe(false);
+        // Out through the long face: 2 meters from the center plus the radius
+        expect(resolved.dot(localZ)).toBeCloseTo(3);
+        expect(resolved.clone().sub(localZ.clone().multiplyScalar(resolved.dot(localZ))).length()).toBeCloseTo(0);
+    });
+
+    test('slides along a wall instead of stopping at it', () => {
+        const world = createWorld();
+        // Touching the wall at z = -5 from outside
+        const position = new THREE.Vector3(0, 0, -6);
+
+        const { position: resolved, blocked } = world.slideCircle(position, new THREE.Vector3(1, 0, 1), 1);
+
+        expect(blocked).toBe(true);
+        expect(resolved.x).toBeCloseTo(1);
+        expect(resolved.z).toBeCloseTo(-6);
+    });
+
+    test('stops in an inside corner without entering either box', () => {
+        const world = createWorld();
+        // A second box against the first one's +X face that reaches further down in -Z,
+        // leaving an inside corner at (5, -5)
+        world.addBox({ x: 10, z: -5, width: 10, depth: 20 });
+        let position = new THREE.Vector3(0, 0, -9);
+
+        // Walk diagonally into the corner in frame-sized steps
+        for (let i = 0; i < 100; i++) {
+            position = world.slideCircle(position, new THREE.Vector3(0.1, 0, 0.1), 1).position;
+            expect(world.testCircle(position, 1 - 1e-3)).toBe(false);
+        }
+
+        expect(position.x).toBeCloseTo(4, 2);
+        expect(position.z).toBeCloseTo(-6, 2);
+    });
+
+    test('ignores boxes above or below the circle', () => {
+        const world = createWorld();
+        expect(world.testCircle(new THREE.Vector3(0, 20, 0), 1)).toBe(false);
+        expect(world.testCircle(new THREE.Vector3(0, 5, 0), 1)).toBe(true);
+    });
+});
+
+describe('CollisionWorld raycast', () => {
+    test('returns the distance to the nearest face it hits', () => {
+        const world = createWorld();
+        const hit = world.raycast(new THREE.Vector3(-20, 1, 0), new THREE.Vector3(1, 0, 0), 50);
+
+        expect(hit.distance).toBeCloseTo(15);
+        expect(hit.point.x).toBeCloseTo(-5);
+    });
+
+    test('hits the corner of a rotated box', () => {
+        const world = new CollisionWorld(25);
+        world.addBox({ x: 0, z: 0, width: 2, depth: 2, rotation: Math.PI / 4, minY: 0, maxY: 10 });
+        const hit = world.raycast(new THREE.Vector3(-10, 1, 0), new THREE.Vector3(1, 0, 0), 50);
+
+        expect(hit.distance).toBeCloseTo(10 - Math.SQRT2);
+    });
+
+    test('misses boxes off to the side, over the top or out of range', () => {
+        const world = createWorld();
+        expect(world.raycast(new THREE.Vector3(-20, 1, 0), new THREE.Vector3(0, 0, 1), 50)).toBeNull();
+        expect(world.raycast(new THREE.Vector3(-20, 15, 0), new THREE.Vector3(1, 0, 0), 50)).toBeNull();
+        expect(world.raycast(new THREE.Vector3(-20, 1, 0), new THREE.Vector3(1, 0, 0), 10)).toBeNull();
+    });
+
+    test('reports a distance of 0 from inside a box', () => {
+        const world = createWorld();
+        const hit = world.raycast(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 1, 0), 30);
+        expect(hit.distance).toBe(0);
+    });
+});
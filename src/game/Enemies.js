@@ -0,0 +1,368 @@
+import * as THREE from 'three';
+import { createRandom, hashSeed } from './random';
+
+// Clip each enemy state plays; hit, die and stand up are one-shot clips
+export const ENEMY_STATE_ANIMATIONS = {
+    wander: 'walk',
+    notice: 'walk',
+    chase: 'run',
+    attack: 'walk',
+    hit: 'hit',
+    dead: 'die',
+    standup: 'standup'
+};
+
+// Cascarudo spawning and AI. Each enemy runs a finite state machine:
+// wander -> notice -> chase -> attack, with hit/dead/standup on damage.
+// Plain data only; EnemySystem in Scene3D gives each enemy a model.
+// Dispatches an 'attack' event ({ enemy, damage }) when a melee attack lands
+// and a 'killed' event ({ enemy }) when one is shot dead.
+// `options` overrides the tuning in the enemies group of sceneConfig.js.
+export default class Enemies extends THREE.EventDispatcher {
+    constructor(seed, city, options = {}) {
+        super();
+        this.city = city;
+        this.random = createRandom(hashSeed(seed, 'enemies'));
+        this.enemies = new Map(); // By enemy id
+        this.nextId = 1;
+        this.spawnRadius = options.spawnRadius ?? 50; // Radius around center to spawn enemies
+        this.maxEnemies = options.maxEnemies ?? 5; // Maximum number of enemies to maintain
+        this.minSpawnDistance = 20; // Minimum distance from center to spawn
+        this.wanderRadius = 10; // How far enemies can wander from their spawn point
+        this.maxHealth = 100;
+        this.hitRadius = 1.2; // Bounding sphere used for shots
+        this.hitHeight = 1; // Sphere center above the enemy's position
+        this.radius = 1; // Body radius used against building collision
+        // State machine tuning
+        this.sightRadius = 25; // Enemies notice the player within this distance...
+        this.loseSightRadius = 35; // ...and give up the chase beyond this one
+        this.loseSightTime = 2; // Seconds without line of sight before giving up
+        this.visibility = 1; // Scales both radii; falling snow and darkness bring it down
+        this.noticeDuration = 0.6; // Pause while turning towards the player before chasing
+        this.chaseSpeed = options.chaseSpeed ?? 6.6; // Meters per second
+        this.attackRange = 2.5;
+        this.attackDamage = options.attackDamage ?? 10;
+        this.attackInterval = 1.2; // Seconds between melee attacks
+        this.corpseDuration = 8; // Seconds a dead enemy lies on the ground
+        this.reviveChance = 0.5; // Chance a corpse stands up again instead of despawning
+        // Seconds the one-shot hit and stand up clips last; the view replaces these with the real clip lengths
+        this.clipDurations = { hit: 1, standup: 2.5 };
+    }
+
+    createEnemy(spawnPosition) {
+        const enemy = {
+            id: this.nextId++,
+            state: 'wander',
+            stateTimer: 0,
+            animation: ENEMY_STATE_ANIMATIONS.wander,
+            position: spawnPosition.clone(),
+            previousPosition: spawnPosition.clone(), // For render interpolation
+            spawnPosition: spawnPosition.clone(),
+            targetPosition: null,
+            moveSpeed: 3, // Wandering speed in meters per second
+            health: this.maxHealth,
+            attackCooldown: 0,
+            timeWithoutSight: 0,
+            wanderTimer: 0,
+            wanderInterval: 3 + this.random() * 2, // Random interval between 3-5 seconds
+            rotation: new THREE.Euler(0, this.random() * Math.PI * 2, 0)
+        };
+
+        this.enemies.set(enemy.id, enemy);
+        return enemy;
+    }
+
+    setEnemyState(enemy, state) {
+        enemy.state = state;
+        enemy.stateTimer = 0;
+        enemy.animation = ENEMY_STATE_ANIMATIONS[state];
+
+        switch (state) {
+            case 'wander':
+                // Wander around wherever the enemy ended up
+                enemy.spawnPosition.copy(enemy.position);
+                enemy.targetPosition = null;
+                break;
+            case 'chase':
+                enemy.timeWithoutSight = 0;
+                break;
+            case 'attack':
+                enemy.attackCooldown = this.attackInterval / 2;
+                break;
+            case 'standup':
+                enemy.health = this.maxHealth;
+                break;
+            default:
+                break;
+        }
+    }
+
+    isAlive(enemy) {
+        return enemy.state !== 'dead';
+    }
+
+    // Apply damage to an enemy, switching it to its hit or dead state. Returns true if it died.
+    damageEnemy(enemy, amount) {
+        if (!this.isAlive(enemy)) return false;
+
+        enemy.health = Math.max(0, enemy.health - amount);
+        if (enemy.health > 0) {
+            this.setEnemyState(enemy, 'hit');
+            return false;
+        }
+
+        this.setEnemyState(enemy, 'dead');
+        this.dispatchEvent({ type: 'killed', enemy });
+        return true;
+    }
+
+    removeEnemy(enemy) {
+        this.enemies.delete(enemy.id);
+    }
+
+    findRandomSpawnPosition() {
+        const angle = this.random() * Math.PI * 2;
+        const distance = this.minSpawnDistance + this.random() * (this.spawnRadius - this.minSpawnDistance);
+
+        return new THREE.Vector3(
+            Math.cos(angle) * distance,
+            2, // Same height as player
+            Math.sin(angle) * distance
+        );
+    }
+
+    // True when no building blocks the line between the enemy and the player
+    hasLineOfSight(enemy, playerPosition) {
+        if (!this.city) return true;
+
+        const origin = enemy.position.clone();
+        origin.y += this.hitHeight;
+        const target = playerPosition.clone();
+        target.y = origin.y;
+        const direction = target.clone().sub(origin);
+        const distance = direction.length();
+        if (distance === 0) return true;
+
+        return this.city.raycast(origin, direction.divideScalar(distance), distance) === null;
+    }
+
+    canSeePlayer(enemy, playerPosition) {
+        return enemy.position.distanceTo(playerPosition) <= this.sightRadius * this.visibility &&
+            this.hasLineOfSight(enemy, playerPosition);
+    }
+
+    faceTowards(enemy, position) {
+        const dx = position.x - enemy.position.x;
+        const dz = position.z - enemy.position.z;
+        enemy.rotation.y = Math.atan2(dx, dz);
+    }
+
+    updateWander(enemy, deltaTime) {
+        const { position, spawnPosition, targetPosition, wanderTimer, wanderInterval, moveSpeed } = enemy;
+
+        // Update wander timer
+        enemy.wanderTimer += deltaTime;
+
+        // If it's time to find a new target or no target exists
+        if (wanderTimer >= wanderInterval || !targetPosition) {
+            // Find new random position within wander radius
+            const angle = this.random() * Math.PI * 2;
+            const distance = this.random() * this.wanderRadius;
+
+            enemy.targetPosition = new THREE.Vector3(
+                spawnPosition.x + Math.cos(angle) * distance,
+                2,
+                spawnPosition.z + Math.sin(angle) * distance
+            );
+
+            // Update rotation to face target
+            this.faceTowards(enemy, enemy.targetPosition);
+
+            // Reset timer and set new random interval
+            enemy.wanderTimer = 0;
+            enemy.wanderInterval = 3 + this.random() * 2;
+        }
+
+        // Move towards target
+        if (targetPosition) {
+            const direction = targetPosition.clone().sub(position).normalize();
+            const newPosition = position.clone().add(direction.multiplyScalar(moveSpeed * deltaTime));
+
+            // Check if new position is within bounds
+            const distanceFromSpawn = newPosition.distanceTo(spawnPosition);
+            if (distanceFromSpawn <= this.wanderRadius) {
+                position.copy(newPosition);
+            } else {
+                // If out of bounds, find new target
+                enemy.targetPosition = null;
+            }
+        }
+    }
+
+    updateChase(enemy, deltaTime, playerPosition) {
+        const distance = enemy.position.distanceTo(playerPosition);
+        if (distance <= this.attackRange) {
+            this.setEnemyState(enemy, 'attack');
+            return;
+        }
+
+        // Give up when the player gets too far away or stays out of sight for a while
+        if (this.hasLineOfSight(enemy, playerPosition)) {
+            enemy.timeWithoutSight = 0;
+        } else {
+            enemy.timeWithoutSight += deltaTime;
+        }
+        if (distance > this.loseSightRadius * this.visibility || enemy.timeWithoutSight > this.loseSightTime) {
+            this.setEnemyState(enemy, 'wander');
+            return;
+        }
+
+        this.faceTowards(enemy, playerPosition);
+        const direction = playerPosition.clone().sub(enemy.position);
+        direction.y = 0;
+        direction.normalize();
+        const newPosition = enemy.position.clone().addScaledVector(direction, this.chaseSpeed * deltaTime);
+        if (!this.city?.checkCollision(newPosition, this.radius)) {
+            enemy.position.copy(newPosition);
+        }
+    }
+
+    updateAttack(enemy, deltaTime, playerPosition) {
+        // A little hysteresis so the enemy doesn't flicker between chase and attack
+        if (enemy.position.distanceTo(playerPosition) > this.attackRange * 1.3) {
+            this.setEnemyState(enemy, 'chase');
+            return;
+        }
+
+        this.faceTowards(enemy, playerPosition);
+        enemy.attackCooldown -= deltaTime;
+        if (enemy.attackCooldown <= 0) {
+            enemy.attackCooldown = this.attackInterval;
+            this.dispatchEvent({ type: 'attack', enemy, damage: this.attackDamage });
+        }
+    }
+
+    updateEnemyBehavior(enemy, deltaTime, playerPosition) {
+        enemy.stateTimer += deltaTime;
+
+        // Without a live player to go after, hunting enemies go back to wandering
+        if (!playerPosition && ['notice', 'chase', 'attack'].includes(enemy.state)) {
+            this.setEnemyState(enemy, 'wander');
+        }
+
+        switch (enemy.state) {
+            case 'wander':
+                if (playerPosition && this.canSeePlayer(enemy, playerPosition)) {
+                    this.setEnemyState(enemy, 'notice');
+                } else {
+                    this.updateWander(enemy, deltaTime);
+                }
+                break;
+            case 'notice':
+                this.faceTowards(enemy, playerPosition);
+                if (enemy.stateTimer >= this.noticeDuration) {
+                    this.setEnemyState(enemy, 'chase');
+                }
+                break;
+            case 'chase':
+                this.updateChase(enemy, deltaTime, playerPosition);
+                break;
+            case 'attack':
+                this.updateAttack(enemy, deltaTime, playerPosition);
+                break;
+            case 'hit':
+                // Getting shot always gives away where the player is
+                if (enemy.stateTimer >= this.clipDurations.hit) {
+                    this.setEnemyState(enemy, playerPosition ? 'chase' : 'wander');
+                }
+                break;
+            case 'dead':
+                // Corpses either despawn or come back to life with the stand up clip
+                if (enemy.stateTimer >= this.corpseDuration) {
+                    if (this.random() < this.reviveChance) {
+                        this.setEnemyState(enemy, 'standup');
+                    } else {
+                        this.removeEnemy(enemy);
+                    }
+                }
+                break;
+            case 'standup':
+                if (enemy.stateTimer >= this.clipDurations.standup) {
+                    this.setEnemyState(enemy, 'wander');
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Plain-data state for save games (see snapshot.js), including where the spawn RNG is
+    serialize() {
+        return {
+            nextId: this.nextId,
+            randomState: this.random.getState(),
+            enemies: [...this.enemies.values()].map(enemy => ({
+                id: enemy.id,
+                state: enemy.state,
+                stateTimer: enemy.stateTimer,
+                position: enemy.position.toArray(),
+                spawnPosition: enemy.spawnPosition.toArray(),
+                targetPosition: enemy.targetPosition ? enemy.targetPosition.toArray() : null,
+                moveSpeed: enemy.moveSpeed,
+                health: enemy.health,
+                attackCooldown: enemy.attackCooldown,
+                timeWithoutSight: enemy.timeWithoutSight,
+                wanderTimer: enemy.wanderTimer,
+                wanderInterval: enemy.wanderInterval,
+                rotationY: enemy.rotation.y
+            }))
+        };
+    }
+
+    // Replace every enemy with the ones from a serialized state
+    restore(data) {
+        this.enemies.clear();
+        this.nextId = data.nextId;
+        this.random.setState(data.randomState);
+
+        for (const saved of data.enemies) {
+            const position = new THREE.Vector3().fromArray(saved.position);
+            this.enemies.set(saved.id, {
+                id: saved.id,
+                state: saved.state,
+                stateTimer: saved.stateTimer,
+                animation: ENEMY_STATE_ANIMATIONS[saved.state],
+                position,
+                previousPosition: position.clone(),
+                spawnPosition: new THREE.Vector3().fromArray(saved.spawnPosition),
+                targetPosition: saved.targetPosition ? new THREE.Vector3().fromArray(saved.targetPosition) : null,
+                moveSpeed: saved.moveSpeed,
+                health: saved.health,
+                attackCooldown: saved.attackCooldown,
+                timeWithoutSight: saved.timeWithoutSight,
+                wanderTimer: saved.wanderTimer,
+                wanderInterval: saved.wanderInterval,
+                rotation: new THREE.Euler(0, saved.rotationY, 0)
+            });
+        }
+    }
+
+    // Remember where each enemy started this simulation step so rendering can interpolate
+    savePreviousState() {
+        for (const enemy of this.enemies.values()) {
+            enemy.previousPosition.copy(enemy.position);
+        }
+    }
+
+    update(deltaTime, playerPosition) {
+        // Maintain enemy count
+        while (this.enemies.size < this.maxEnemies) {
+            this.createEnemy(this.findRandomSpawnPosition());
+        }
+
+        // Update each enemy
+        for (const enemy of [...this.enemies.values()]) {
+            this.updateEnemyBehavior(enemy, deltaTime, playerPosition);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import Enemies from './Enemies';
+import { FIXED_TIMESTEP } from './Simulation';
+
+// A single enemy in open ground (no city), standing at the origin
+function createEnemies() {
+    const enemies = new Enemies('enemies', null, { maxEnemies: 1 });
+    const enemy = enemies.createEnemy(new THREE.Vector3(0, 2, 0));
+    return { enemies, enemy };
+}
+
+// Step the enemies for `seconds` with the player at `playerPosition`
+function run(enemies, seconds, playerPosition) {
+    for (let time = 0; time < seconds; time += FIXED_TIMESTEP) {
+        enemies.update(FIXED_TIMESTEP, playerPosition);
+    }
+}
+
+describe('Enemy state machine', () => {
+    test('wanders, notices, chases and attacks as the player gets closer', () => {
+        const { enemies, enemy } = createEnemies();
+
+        // Well out of sight: the enemy keeps wandering
+        run(enemies, 2, new THREE.Vector3(100, 2, 0));
+        expect(enemy.state).toBe('wander');
+
+        // Within sight: it stops to notice the player, then gives chase
+        const player = new THREE.Vector3(enemy.position.x + 20, 2, enemy.position.z);
+        run(enemies, FIXED_TIMESTEP, player);
+        expect(enemy.state).toBe('notice');
+        expect(enemy.animation).toBe('walk');
+
+        run(enemies, enemies.noticeDuration, player);
+        expect(enemy.state).toBe('chase');
+        expect(enemy.animation).toBe('run');
+
+        // Close enough to strike: it attacks, and the blows land every attackInterval
+        const attacks = [];
+        enemies.addEventListener('attack', event => attacks.push(event));
+        run(enemies, 4, player);
+        expect(enemy.state).toBe('attack');
+        expect(enemy.position.distanceTo(player)).toBeLessThanOrEqual(enemies.attackRange);
+        expect(attacks.length).toBeGreaterThan(0);
+        expect(attacks[0]).toMatchObject({ enemy, damage: enemies.attackDamage });
+    });
+
+    test('gives up the chase once the player gets away', () => {
+        const { enemies, enemy } = createEnemies();
+        enemies.setEnemyState(enemy, 'chase');
+
+        run(enemies, FIXED_TIMESTEP, new THREE.Vector3(enemies.loseSightRadius + 10, 2, 0));
+
+        expect(enemy.state).toBe('wander');
+    });
+
+    test('sees less far in poor visibility', () => {
+        const { enemies, enemy } = createEnemies();
+        enemies.visibility = 0.5;
+
+        run(enemies, FIXED_TIMESTEP, new THREE.Vector3(enemy.position.x + 20, 2, enemy.position.z));
+
+        expect(enemy.state).toBe('wander');
+    });
+});
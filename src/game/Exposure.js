@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Lethal snowfall: exposure builds up while the player is out in the open
+// and drains while sheltered next to or under a building
+export default class Exposure {
+    constructor(player, city) {
+        this.player = player;
+        this.city = city;
+        this.exposure = 0; // 0 = safe, 1 = meter full
+        this.fillRate = 1 / 40; // Per second at full snowfall: 40 seconds in the open fills the meter
+        this.drainRate = 1 / 8; // Per second while sheltered
+        this.shelterDistance = 2.5; // How close to a building wall counts as sheltered
+        this.roofHeight = 30; // How far up to look for a roof
+        this.damage = 10; // Damage dealt each interval while the meter is full
+        this.damageInterval = 1.0;
+        this.damageTimer = 0;
+        this.isSheltered = false;
+
+        // A fresh start after respawning
+        this.player.addEventListener('respawned', () => {
+            this.exposure = 0;
+            this.damageTimer = 0;
+        });
+    }
+
+    serialize() {
+        return { exposure: this.exposure };
+    }
+
+    restore(data) {
+        this.exposure = THREE.MathUtils.clamp(data.exposure, 0, 1);
+        this.damageTimer = 0;
+    }
+
+    checkShelter() {
+        if (this.player.hasProtectiveSuit) return true;
+
+        // A circle of the shelter distance touching a building means a wall is close by
+        const position = this.player.position;
+        if (this.city.checkCollision(position, this.shelterDistance)) {
+            return true;
+        }
+
+        // Anything overhead keeps the snow off
+        return this.city.raycast(position, UP, this.roofHeight) !== null;
+    }
+
+    // snowIntensity scales how fast exposure builds up (1 = regular snowfall)
+    update(deltaTime, snowIntensity = 1) {
+        if (this.player.isDead) return;
+
+        this.isSheltered = this.checkShelter();
+        if (this.isSheltered) {
+            this.exposure = Math.max(0, this.exposure - this.drainRate * deltaTime);
+        } else {
+            this.exposure = Math.min(1, this.exposure + this.fillRate * snowIntensity * deltaTime);
+        }
+
+        // A full meter hurts on a fixed interval
+        if (this.exposure >= 1) {
+            this.damageTimer -= deltaTime;
+            if (this.damageTimer <= 0) {
+                this.damageTimer = this.damageInterval;
+                this.player.takeDamage(this.damage, 'snow');
+            }
+        } else {
+            this.damageTimer = 0;
+        }
+    }
+}
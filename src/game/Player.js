@@ -0,0 +1,370 @@
+import * as THREE from 'three';
+
+// The player's body: movement, jumping, aiming and health. Knows nothing about
+// meshes; PlayerCharacter in Scene3D follows `position`, `rotation` and `animation`.
+// Dispatches 'damaged', 'died', 'respawned' and 'gameover' events through THREE.EventDispatcher.
+// `options` sets maxHealth and lives (see the player group in sceneConfig.js).
+export default class Player extends THREE.EventDispatcher {
+    constructor(city, options = {}) {
+        super();
+        this.city = city;
+        this.position = new THREE.Vector3(0, 2, 0);
+        this.rotation = new THREE.Euler(0, 0, 0);
+        this.previousPosition = this.position.clone(); // State at the start of the last simulation step, for interpolation
+        this.previousRotationY = 0;
+        this.moveSpeed = 9; // Running speed in meters per second
+        this.walkSpeed = 1.92; // Walking speed (and backward speed) in meters per second
+        this.runThreshold = 0.6; // Forward stick deflection from which the player runs rather than walks
+        this.rotateSpeed = 0.9; // Radians per second
+        this.lookTurnSpeed = 10; // Radians per second when turning to face the camera in mouse-look mode
+        this.isMoving = false;
+        this.isJumping = false;
+        this.radius = 1.5;
+        this.baseHeight = 2;
+        // Jump physics parameters (meters, seconds)
+        this.jumpVelocity = new THREE.Vector3();
+        this.jumpSpeed = 11.4; // Initial upward speed
+        this.jumpForwardSpeed = 21; // Initial forward speed
+        this.gravity = 21.6; // Meters per second squared
+        this.jumpDuration = 0; // Seconds since takeoff
+        this.maxJumpDuration = 1.5;
+        this.landingHeight = 2; // Explicit landing height
+        this.isAiming = false; // Rifle raised: the player can turn but not walk
+        // Animation the view should be playing; the serial changes whenever it (re)starts
+        this.animation = 'idle';
+        this.animationSerial = 0;
+        this.hurtDuration = 0.8; // Seconds the hit animation plays; the view replaces it with the clip length
+        this.hurtTimer = 0;
+        // Health parameters
+        this.maxHealth = options.maxHealth ?? 100;
+        this.health = this.maxHealth;
+        this.livesLeft = options.lives ?? Infinity; // Deaths left before the game is over
+        this.isDead = false;
+        this.isHurt = false; // True while the hit animation plays
+        this.invulnerabilityDuration = 1.0; // Seconds of invulnerability after taking damage
+        this.respawnInvulnerability = 2.0; // Seconds of invulnerability after respawning
+        this.invulnerableTimer = 0;
+        this.respawnDelay = 3.0; // Seconds between dying and respawning
+        this.deathTimer = 0;
+        this.checkpoint = new THREE.Vector3(0, this.landingHeight, 0); // Where the player respawns
+        this.hasProtectiveSuit = false; // A suit keeps the lethal snow off
+    }
+
+    // Apply one simulation step of player input (see Simulation.step for the shape of `input`)
+    applyInput(input, deltaTime) {
+        // Input is locked while dead
+        if (this.isDead) return;
+
+        if (input.toggleAim) {
+            this.setAiming(!this.isAiming);
+        }
+
+        // Aiming plants the player's feet, and there is no steering mid-jump or mid-flinch
+        const canMove = !this.isAiming && !this.isJumping && !this.isHurt;
+        const moveAmount = THREE.MathUtils.clamp(input.moveForward, -1, 1);
+        const strafeAmount = THREE.MathUtils.clamp(input.strafe || 0, -1, 1);
+        const mouseLook = input.lookYaw !== undefined && input.lookYaw !== null;
+        let runAmount = moveAmount; // How hard the player is pushing forwards, for the run/walk choice
+
+        if (mouseLook) {
+            // Move relative to the camera and turn to face where it looks while moving or aiming
+            const isMoving = moveAmount !== 0 || strafeAmount !== 0;
+            if (canMove && isMoving) {
+                runAmount = this.moveRelative(input.lookYaw, moveAmount, strafeAmount, deltaTime);
+            }
+            if ((isMoving && !this.isJumping) || this.isAiming) {
+                this.turnTowards(input.lookYaw, deltaTime);
+            }
+        } else {
+            if (canMove && moveAmount !== 0) {
+                this.move(moveAmount, deltaTime);
+            }
+            if (input.turn) {
+                this.rotate(THREE.MathUtils.clamp(input.turn, -1, 1), deltaTime);
+            }
+        }
+
+        if (input.jump && !this.isJumping) {
+            this.jump();
+        }
+
+        // Update animation state (only if not jumping or flinching from a hit)
+        if (!this.isJumping && !this.isHurt) {
+            if (this.isAiming) {
+                this.setAnimation('rifle');
+            } else if (runAmount >= this.runThreshold) {
+                this.setAnimation('run');
+            } else if (moveAmount !== 0 || (mouseLook && strafeAmount !== 0)) {
+                this.setAnimation('walk');
+            } else {
+                this.setAnimation('idle');
+            }
+        }
+    }
+
+    update(deltaTime) {
+        this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+
+        if (this.isDead) {
+            if (this.isGameOver()) return;
+            this.deathTimer -= deltaTime;
+            if (this.deathTimer <= 0) {
+                this.respawn();
+            }
+            return;
+        }
+
+        if (this.isHurt) {
+            this.hurtTimer -= deltaTime;
+            if (this.hurtTimer <= 0) {
+                this.isHurt = false;
+            }
+        }
+
+        // Push the player back out if they ended up overlapping a building,
+        // e.g. when a cell loads in right on top of them
+        this.resolvePenetration();
+
+        // Update jumping state
+        if (this.isJumping) {
+            this.jumpDuration += deltaTime;
+
+            // Apply gravity; vertical motion is never affected by walls
+            this.jumpVelocity.y -= this.gravity * deltaTime;
+            this.position.y += this.jumpVelocity.y * deltaTime;
+
+            // Forward momentum fades over the course of the jump
+            const jumpProgress = this.jumpDuration / this.maxJumpDuration;
+            const speedFactor = (1 - jumpProgress * 0.7) * deltaTime;
+            const horizontalMove = new THREE.Vector3(
+                this.jumpVelocity.x * speedFactor,
+                0,
+                this.jumpVelocity.z * speedFactor
+            );
+
+            // Slide along walls; once blocked, keep only the momentum along the wall
+            const { normals } = this.moveHorizontally(horizontalMove);
+            for (const normal of normals) {
+                const into = this.jumpVelocity.x * normal.x + this.jumpVelocity.z * normal.z;
+                if (into < 0) {
+                    this.jumpVelocity.x -= normal.x * into;
+                    this.jumpVelocity.z -= normal.z * into;
+                }
+            }
+
+            // Check if landed or hit max duration
+            if (this.position.y <= this.landingHeight || this.jumpDuration >= this.maxJumpDuration) {
+                this.position.y = this.landingHeight;
+                this.isJumping = false;
+                this.jumpDuration = 0;
+                this.setAnimation(this.isMoving ? 'run' : 'idle');
+            }
+        }
+    }
+
+    // Move on the ground plane, sliding along any walls in the way. Height is left untouched.
+    moveHorizontally(displacement) {
+        if (!this.city) {
+            this.position.x += displacement.x;
+            this.position.z += displacement.z;
+            return { blocked: false, normals: [] };
+        }
+
+        const { position, blocked, normals } = this.city.slideCircle(this.position, displacement, this.radius);
+        this.position.x = position.x;
+        this.position.z = position.z;
+        return { blocked, normals };
+    }
+
+    resolvePenetration() {
+        if (!this.city?.checkCollision(this.position, this.radius)) return;
+
+        this.moveHorizontally(new THREE.Vector3());
+    }
+
+    // Remember where a simulation step started so rendering can interpolate between steps
+    savePreviousState() {
+        this.previousPosition.copy(this.position);
+        this.previousRotationY = this.rotation.y;
+    }
+
+    // Move for one step, sliding along any wall in the way. `amount` runs from -1 (full
+    // backward) to 1 (full forward); partial forward amounts blend from walking to running.
+    move(amount, deltaTime) {
+        const speed = amount > 0
+            ? THREE.MathUtils.lerp(this.walkSpeed, this.moveSpeed, amount)
+            : this.walkSpeed;
+        const moveVector = this.getForwardVector().multiplyScalar(speed * deltaTime * amount);
+        this.moveHorizontally(moveVector);
+    }
+
+    // Mouse-look movement for one step: forward/backward along `heading` plus strafing
+    // across it. Returns how fast the player is going forwards or sideways (0 to 1),
+    // or a negative value when backing up, which is always done at walking speed.
+    moveRelative(heading, forwardAmount, strafeAmount, deltaTime) {
+        const forward = new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        const direction = forward.multiplyScalar(forwardAmount).addScaledVector(right, strafeAmount);
+        const amount = Math.min(1, direction.length());
+        if (amount === 0) return 0;
+
+        const backing = forwardAmount < 0 && Math.abs(forwardAmount) >= Math.abs(strafeAmount);
+        const speed = backing ? this.walkSpeed : THREE.MathUtils.lerp(this.walkSpeed, this.moveSpeed, amount);
+        direction.setLength(speed * amount * deltaTime);
+        this.moveHorizontally(direction);
+        return backing ? -amount : amount;
+    }
+
+    // Turn towards a heading by the shortest way round, at most lookTurnSpeed radians per second
+    turnTowards(heading, deltaTime) {
+        const difference = Math.atan2(
+            Math.sin(heading - this.rotation.y),
+            Math.cos(heading - this.rotation.y)
+        );
+        const maxTurn = this.lookTurnSpeed * deltaTime;
+        this.rotation.y += THREE.MathUtils.clamp(difference, -maxTurn, maxTurn);
+    }
+
+    // Turn left (positive) or right (negative); partial amounts turn more slowly
+    rotate(amount, deltaTime) {
+        this.rotation.y += amount * this.rotateSpeed * deltaTime;
+    }
+
+    // Switch the animation the view should play; `restart` replays it even if it is already current
+    setAnimation(animationName, restart = false) {
+        if (this.animation === animationName && !restart) return;
+
+        // Update movement state
+        this.isMoving = animationName === 'run' || animationName === 'walk';
+        this.animation = animationName;
+        this.animationSerial++;
+    }
+
+    isInvulnerable() {
+        return this.invulnerableTimer > 0;
+    }
+
+    // Apply damage from an enemy or an environmental hazard. Returns true if the damage was taken.
+    takeDamage(amount, source) {
+        if (this.isDead || this.isInvulnerable() || amount <= 0) return false;
+
+        this.health = Math.max(0, this.health - amount);
+        this.dispatchEvent({ type: 'damaged', amount, health: this.health, source });
+
+        if (this.health === 0) {
+            this.die(source);
+        } else {
+            this.invulnerableTimer = this.invulnerabilityDuration;
+            if (!this.isJumping) {
+                // Restart the flinch even if the player is already mid-flinch
+                this.isHurt = true;
+                this.hurtTimer = this.hurtDuration;
+                this.setAnimation('hit', true);
+            }
+        }
+        return true;
+    }
+
+    die(source) {
+        this.isDead = true;
+        this.isHurt = false;
+        this.isAiming = false;
+        this.isJumping = false;
+        this.jumpDuration = 0;
+        this.position.y = this.landingHeight;
+        this.setAnimation('die');
+        this.deathTimer = this.respawnDelay;
+        this.livesLeft--;
+        this.dispatchEvent({ type: 'died', source });
+        if (this.isGameOver()) {
+            this.dispatchEvent({ type: 'gameover', source });
+        }
+    }
+
+    // Dead with no lives left: the player stays down instead of respawning
+    isGameOver() {
+        return this.isDead && this.livesLeft <= 0;
+    }
+
+    respawn() {
+        this.position.copy(this.checkpoint);
+        this.rotation.y = 0;
+        // Teleport: don't interpolate from where the player died
+        this.savePreviousState();
+        this.health = this.maxHealth;
+        this.isDead = false;
+        this.invulnerableTimer = this.respawnInvulnerability;
+        this.setAnimation('idle');
+        this.dispatchEvent({ type: 'respawned', position: this.position.clone() });
+    }
+
+    // Move the player straight to a point on the ground, e.g. when a host page asks for it
+    teleport(position) {
+        this.position.set(position.x, this.landingHeight, position.z);
+        this.isJumping = false;
+        this.jumpDuration = 0;
+        this.savePreviousState();
+    }
+
+    // Plain-data state for save games (see snapshot.js)
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            rotationY: this.rotation.y,
+            health: this.health,
+            isDead: this.isDead,
+            deathTimer: this.deathTimer,
+            livesLeft: Number.isFinite(this.livesLeft) ? this.livesLeft : null, // JSON has no Infinity
+            isAiming: this.isAiming,
+            checkpoint: this.checkpoint.toArray(),
+            hasProtectiveSuit: this.hasProtectiveSuit
+        };
+    }
+
+    // Put the player back as they were when serialized. Jumps and flinches in progress are not saved.
+    restore(data) {
+        this.position.fromArray(data.position);
+        this.rotation.y = data.rotationY;
+        this.health = THREE.MathUtils.clamp(data.health, 0, this.maxHealth);
+        this.isDead = data.isDead;
+        this.deathTimer = data.deathTimer;
+        this.livesLeft = data.livesLeft ?? Infinity;
+        this.isAiming = data.isAiming && !data.isDead;
+        this.checkpoint.fromArray(data.checkpoint);
+        this.hasProtectiveSuit = data.hasProtectiveSuit;
+        this.isJumping = false;
+        this.jumpDuration = 0;
+        this.isHurt = false;
+        this.invulnerableTimer = 0;
+        this.position.y = this.landingHeight;
+        this.setAnimation(this.isDead ? 'die' : (this.isAiming ? 'rifle' : 'idle'), true);
+        this.savePreviousState();
+    }
+
+    setCheckpoint(position) {
+        this.checkpoint.set(position.x, this.landingHeight, position.z);
+    }
+
+    setAiming(aiming) {
+        if (this.isJumping) return;
+        this.isAiming = aiming;
+    }
+
+    // Unit vector the character is facing (rotation.y = 0 faces +Z)
+    getForwardVector() {
+        return new THREE.Vector3(Math.sin(this.rotation.y), 0, Math.cos(this.rotation.y));
+    }
+
+    jump() {
+        if (this.isAiming) return;
+        if (!this.isJumping) {
+            this.isJumping = true;
+            this.jumpDuration = 0;
+            this.setAnimation('jump');
+
+            // Initialize jump velocity: straight up plus forward momentum
+            const forward = this.getForwardVector().multiplyScalar(this.jumpForwardSpeed);
+            this.jumpVelocity.set(forward.x, this.jumpSpeed, forward.z);
+        }
+    }
+}
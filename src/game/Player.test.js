@@ -0,0 +1,60 @@
+import City from './City';
+import Player from './Player';
+import { EMPTY_INPUT, FIXED_TIMESTEP } from './Simulation';
+
+// One simulation step of the player, as Simulation.step runs it
+function step(player, input = EMPTY_INPUT) {
+    player.applyInput(input, FIXED_TIMESTEP);
+    player.update(FIXED_TIMESTEP);
+}
+
+describe('Player movement', () => {
+    test('slides along a building instead of walking into it', () => {
+        // A city with a single 10 x 10 building at the origin and nothing loaded around it
+        const city = new City('player');
+        city.collisionWorld.addBox({ x: 0, z: 0, width: 10, depth: 10, minY: 0, maxY: 20 });
+        const player = new Player(city);
+        player.position.set(-2, 2, -8);
+        // Facing diagonally into the wall at z = -5
+        player.rotation.y = Math.PI / 4;
+        const input = { ...EMPTY_INPUT, moveForward: 1 };
+
+        for (let i = 0; i < 40; i++) {
+            step(player, input);
+            expect(city.checkCollision(player.position, player.radius - 1e-3)).toBe(false);
+        }
+
+        // Up against the wall, having run along it
+        expect(player.position.z).toBeCloseTo(-5 - player.radius);
+        expect(player.position.x).toBeGreaterThan(1);
+    });
+
+    test('lands a jump after the same number of steps every time', () => {
+        const player = new Player(null);
+        player.jump();
+
+        let steps = 0;
+        let highest = player.position.y;
+        while (player.isJumping && steps < 1000) {
+            step(player);
+            highest = Math.max(highest, player.position.y);
+            steps++;
+        }
+
+        expect(steps).toBe(63);
+        expect(highest).toBeGreaterThan(player.landingHeight + 2.5);
+        expect(player.position.y).toBe(player.landingHeight);
+        // Carried forward (+Z) by the jump's momentum
+        expect(player.position.z).toBeGreaterThan(10);
+        expect(player.animation).toBe('idle');
+    });
+
+    test('cannot steer or jump again mid-jump', () => {
+        const player = new Player(null);
+        player.jump();
+        step(player, { ...EMPTY_INPUT, moveForward: -1, jump: true });
+
+        expect(player.jumpDuration).toBeCloseTo(FIXED_TIMESTEP);
+        expect(player.position.z).toBeGreaterThan(0);
+    });
+});
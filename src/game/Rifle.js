@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+// Hitscan rifle: ammo, reload and shots against buildings and enemies.
+// Dispatches 'fired' ({ origin, muzzlePosition, direction }) and 'impact' ({ point, enemy })
+// events so WeaponSystem in Scene3D can draw the muzzle flash and impact effects.
+export default class Rifle extends THREE.EventDispatcher {
+    constructor(player, city, enemies) {
+        super();
+        this.player = player;
+        this.city = city;
+        this.enemies = enemies;
+        this.ray = new THREE.Ray();
+        this.magazineSize = 30;
+        this.ammo = this.magazineSize; // Rounds in the magazine
+        this.reserveAmmo = 120; // Rounds left to reload from
+        this.damage = 34; // Three hits kill a cascarudo
+        this.range = 60;
+        this.fireInterval = 0.12; // Seconds between shots while the fire key is held
+        this.reloadTime = 2.0;
+        this.fireCooldown = 0;
+        this.reloadTimer = 0;
+        this.isReloading = false;
+        this.muzzleHeight = 1.4; // Above the player's position
+        this.muzzleForward = 1.2; // In front of the player's position
+    }
+
+    canFire() {
+        return this.player.isAiming && !this.isReloading && this.fireCooldown <= 0;
+    }
+
+    fire() {
+        if (!this.canFire()) return;
+
+        if (this.ammo === 0) {
+            this.reload();
+            return;
+        }
+
+        this.ammo--;
+        this.fireCooldown = this.fireInterval;
+
+        const direction = this.player.getForwardVector();
+        const origin = this.player.position.clone();
+        origin.y += this.muzzleHeight;
+        const muzzlePosition = origin.clone().addScaledVector(direction, this.muzzleForward);
+        this.dispatchEvent({ type: 'fired', origin, muzzlePosition, direction });
+
+        const hit = this.castShot(origin, direction);
+        if (hit) {
+            this.dispatchEvent({ type: 'impact', point: hit.point, enemy: hit.enemy });
+            if (hit.enemy) {
+                this.enemies.damageEnemy(hit.enemy, this.damage);
+            }
+        }
+
+        if (this.ammo === 0) {
+            this.reload();
+        }
+    }
+
+    // Find the nearest thing the shot hits: a building collision box or an enemy
+    castShot(origin, direction) {
+        this.ray.set(origin, direction);
+
+        let nearest = null;
+        const buildingHit = this.city.raycast(origin, direction, this.range);
+        if (buildingHit) {
+            nearest = { distance: buildingHit.distance, point: buildingHit.point, enemy: null };
+        }
+
+        // Enemies are tested against a bounding sphere instead of their skinned meshes
+        const sphere = new THREE.Sphere();
+        const point = new THREE.Vector3();
+        for (const enemy of this.enemies.enemies.values()) {
+            if (!this.enemies.isAlive(enemy)) continue;
+            sphere.center.copy(enemy.position);
+            sphere.center.y += this.enemies.hitHeight;
+            sphere.radius = this.enemies.hitRadius;
+            if (!this.ray.intersectSphere(sphere, point)) continue;
+
+            const distance = origin.distanceTo(point);
+            if (distance <= this.range && (!nearest || distance < nearest.distance)) {
+                nearest = { distance, point: point.clone(), enemy };
+            }
+        }
+
+        return nearest;
+    }
+
+    reload() {
+        if (this.isReloading || this.ammo === this.magazineSize || this.reserveAmmo === 0) return;
+        this.isReloading = true;
+        this.reloadTimer = this.reloadTime;
+    }
+
+    finishReload() {
+        const rounds = Math.min(this.magazineSize - this.ammo, this.reserveAmmo);
+        this.ammo += rounds;
+        this.reserveAmmo -= rounds;
+        this.isReloading = false;
+    }
+
+    // Ammo is the only rifle state worth keeping in a save game; a reload in progress finishes on load
+    serialize() {
+        const ammo = this.isReloading ? Math.min(this.magazineSize, this.ammo + this.reserveAmmo) : this.ammo;
+        return {
+            ammo,
+            reserveAmmo: this.reserveAmmo - (ammo - this.ammo)
+        };
+    }
+
+    restore(data) {
+        this.ammo = data.ammo;
+        this.reserveAmmo = data.reserveAmmo;
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        this.fireCooldown = 0;
+    }
+
+    update(deltaTime) {
+        this.fireCooldown = Math.max(0, this.fireCooldown - deltaTime);
+
+        if (this.isReloading) {
+            this.reloadTimer -= deltaTime;
+            if (this.reloadTimer <= 0) {
+                this.finishReload();
+            }
+        }
+    }
+}
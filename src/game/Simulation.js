@@ -0,0 +1,143 @@
+import City from './City';
+import Enemies from './Enemies';
+import Exposure from './Exposure';
+import Player from './Player';
+import Rifle from './Rifle';
+import Weather from './Weather';
+import { SNAPSHOT_VERSION, migrateSnapshot } from './snapshot';
+
+// Length of one simulation step in seconds
+export const FIXED_TIMESTEP = 1 / 60;
+
+// Input for one step: analog axes from -1 to 1 (moveForward: forward is positive,
+// turn: left is positive, strafe: right is positive), held buttons, and one-shot
+// presses (toggleAim, reload). lookYaw is the camera heading in mouse-look mode
+// (movement becomes camera-relative and the player turns to face it); null for tank controls.
+export const EMPTY_INPUT = Object.freeze({
+    moveForward: 0,
+    turn: 0,
+    strafe: 0,
+    lookYaw: null,
+    jump: false,
+    fire: false,
+    toggleAim: false,
+    reload: false
+});
+
+// The whole game world as plain JS: city, player, enemies, rifle, snow exposure and weather.
+// It needs no renderer or DOM, so it can be stepped headless (e.g. under jest);
+// Scene3D steps it on a fixed timestep and draws it with Three.js.
+// The world, player, enemies and weather options are the matching groups of sceneConfig.js.
+export default class Simulation {
+    constructor({ seed, world, player, enemies, weather = {} }) {
+        this.seed = String(seed);
+        this.city = new City(this.seed, world);
+        this.player = new Player(this.city, player);
+        this.enemies = new Enemies(this.seed, this.city, enemies);
+        this.rifle = new Rifle(this.player, this.city, this.enemies);
+        this.exposure = new Exposure(this.player, this.city);
+        this.weather = new Weather(this.seed, weather);
+        this.snowIntensity = weather.snowIntensity ?? 1; // Scales how fast the snow exposure meter fills
+        this.time = 0; // Seconds simulated so far
+        this.accumulator = 0; // Frame time not yet simulated, less than one step
+
+        // Enemy melee attacks hurt the player
+        this.enemies.addEventListener('attack', ({ enemy, damage }) => this.player.takeDamage(damage, enemy));
+
+        // Build the neighbourhood around the spawn point before the first step
+        this.city.update(this.player.position);
+    }
+
+    // Rebuild a world from a save game snapshot, migrating it first if it is older.
+    // `options` are the constructor's, minus the seed, which comes from the snapshot.
+    static fromSnapshot(snapshot, options = {}) {
+        const migrated = migrateSnapshot(snapshot);
+        const simulation = new Simulation({ ...options, seed: migrated.seed });
+        simulation.restore(migrated);
+        return simulation;
+    }
+
+    // JSON-safe snapshot of the world (see snapshot.js)
+    serialize() {
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: this.seed,
+            time: this.time,
+            player: this.player.serialize(),
+            enemies: this.enemies.serialize(),
+            rifle: this.rifle.serialize(),
+            exposure: this.exposure.serialize(),
+            weather: this.weather.serialize()
+        };
+    }
+
+    restore(snapshot) {
+        this.time = snapshot.time || 0;
+        this.player.restore(snapshot.player);
+        this.enemies.restore(snapshot.enemies);
+        this.rifle.restore(snapshot.rifle);
+        this.exposure.restore(snapshot.exposure);
+        this.weather.restore(snapshot.weather);
+        this.city.update(this.player.position);
+    }
+
+    // Move the player to a point on the ground and load the city around it straight away
+    teleportPlayer(position) {
+        this.player.teleport(position);
+        this.city.update(this.player.position);
+    }
+
+    // Add an enemy on top of the ones the simulation keeps around, at `position`
+    // or at a random spawn point. Returns the new enemy.
+    spawnEnemy(position = null) {
+        const spawnPosition = this.enemies.findRandomSpawnPosition();
+        if (position) {
+            spawnPosition.set(position.x, spawnPosition.y, position.z);
+        }
+        return this.enemies.createEnemy(spawnPosition);
+    }
+
+    // Advance the world by a frame of `frameTime` seconds in whole FIXED_TIMESTEP steps,
+    // carrying the remainder over to the next frame, so the outcome doesn't depend on the
+    // frame rate. `readInput` is called once per step. Returns how far the world is between
+    // its last two steps (0 to 1), for render interpolation.
+    advance(frameTime, readInput = () => EMPTY_INPUT) {
+        this.accumulator += frameTime;
+        while (this.accumulator >= FIXED_TIMESTEP) {
+            this.step(FIXED_TIMESTEP, readInput());
+            this.accumulator -= FIXED_TIMESTEP;
+        }
+        return this.accumulator / FIXED_TIMESTEP;
+    }
+
+    // Advance the world by one step of deltaTime seconds
+    step(deltaTime = FIXED_TIMESTEP, input = EMPTY_INPUT) {
+        const { player } = this;
+        player.savePreviousState();
+        this.enemies.savePreviousState();
+
+        player.applyInput(input, deltaTime);
+        if (!player.isDead) {
+            if (input.reload) {
+                this.rifle.reload();
+            }
+            if (input.fire && player.isAiming) {
+                this.rifle.fire();
+            }
+        }
+
+        player.update(deltaTime);
+        this.rifle.update(deltaTime);
+        // The weather sets how fast the snow gets to the player and how far enemies can see
+        this.weather.update(deltaTime);
+        this.exposure.update(deltaTime, this.snowIntensity * this.weather.snowfall);
+        this.enemies.visibility = this.weather.visibility;
+
+        // Update all systems with player position
+        this.city.update(player.position);
+        this.enemies.update(deltaTime, player.isDead ? null : player.position);
+
+        this.time += deltaTime;
+    }
+}
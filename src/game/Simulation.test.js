@@ -0,0 +1,39 @@
+import Simulation, { EMPTY_INPUT, FIXED_TIMESTEP } from './Simulation';
+
+// Run forward while turning left, the same every step
+const INPUT = Object.freeze({ ...EMPTY_INPUT, moveForward: 1, turn: 0.5 });
+
+describe('Simulation timing', () => {
+    test('gives the same result at any frame rate', () => {
+        const steady = new Simulation({ seed: 'timing' });
+        for (let i = 0; i < 60; i++) {
+            steady.step(FIXED_TIMESTEP, INPUT);
+        }
+
+        // One second (and half a step, so rounding can't drop the last one) in uneven frames
+        const uneven = new Simulation({ seed: 'timing' });
+        const frameTimes = [0.007, 0.033, 0.016, 0.05, 0.011, 0.024];
+        let remaining = 1 + FIXED_TIMESTEP / 2;
+        for (let i = 0; remaining > 0; i++) {
+            const frameTime = Math.min(frameTimes[i % frameTimes.length], remaining);
+            uneven.advance(frameTime, () => INPUT);
+            remaining -= frameTime;
+        }
+
+        expect(uneven.time).toBeCloseTo(steady.time);
+        expect(uneven.player.position.distanceTo(steady.player.position)).toBeLessThan(1e-9);
+        expect(uneven.player.rotation.y).toBeCloseTo(steady.player.rotation.y, 9);
+        // The player did move, so the comparison means something
+        const spawn = new Simulation({ seed: 'timing' }).player.position;
+        expect(steady.player.position.distanceTo(spawn)).toBeGreaterThan(1);
+    });
+
+    test('returns how far it is between steps and keeps the rest for the next frame', () => {
+        const simulation = new Simulation({ seed: 'timing' });
+
+        expect(simulation.advance(FIXED_TIMESTEP * 0.25)).toBeCloseTo(0.25);
+        expect(simulation.time).toBe(0);
+        expect(simulation.advance(FIXED_TIMESTEP)).toBeCloseTo(0.25);
+        expect(simulation.time).toBeCloseTo(FIXED_TIMESTEP);
+    });
+});
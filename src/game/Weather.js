@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { createRandom, hashSeed } from './random';
+
+// What each kind of weather looks and plays like. The current weather eases from one
+// to the next, so every value here is a target rather than a switch:
+// - snowfall: how hard it snows; 1 is the regular snowfall the exposure meter and the
+//   snow particle count (weather.snowCount in sceneConfig.js) are tuned for
+// - windStrength: meters per second the wind carries the snow
+// - fogScale: multiplies weather.fogDensity from sceneConfig.js
+// - visibility: scales how far enemies see (1 = their full sight radius)
+// - sunlight: how much sun gets through the clouds
+// - whiteout: how far the fog is washed towards white
+// - duration: [min, max] seconds it lasts when the weather changes by itself
+export const WEATHER_STATES = Object.freeze({
+    calm: Object.freeze({
+        label: 'Calm',
+        snowfall: 0.4,
+        windStrength: 0.5,
+        fogScale: 0.6,
+        visibility: 1,
+        sunlight: 1,
+        whiteout: 0,
+        duration: [90, 180]
+    }),
+    heavySnow: Object.freeze({
+        label: 'Heavy snow',
+        snowfall: 1,
+        windStrength: 2,
+        fogScale: 1,
+        visibility: 0.8,
+        sunlight: 0.7,
+        whiteout: 0.1,
+        duration: [60, 150]
+    }),
+    blizzard: Object.freeze({
+        label: 'Blizzard',
+        snowfall: 2,
+        windStrength: 9,
+        fogScale: 2.2,
+        visibility: 0.45,
+        sunlight: 0.35,
+        whiteout: 0.45,
+        duration: [30, 75]
+    })
+});
+
+// Where random weather may go next: a blizzard never comes out of a calm sky
+const NEXT_STATES = {
+    calm: ['heavySnow'],
+    heavySnow: ['calm', 'blizzard'],
+    blizzard: ['heavySnow']
+};
+
+// The values that ease towards the current state's targets
+export const EASED_VALUES = ['snowfall', 'windStrength', 'fogScale', 'visibility', 'sunlight', 'whiteout'];
+
+// Schedule entries last a positive, finite number of seconds
+function isValidDuration(duration) {
+    return Number.isFinite(duration) && duration > 0;
+}
+
+// Weather and time of day. Either follows `options.schedule` ([{ weather, duration }],
+// repeated once it runs out; an entry without a valid duration lasts a random time) or
+// changes at random between calm, heavy snow and blizzard. Also keeps the time of day, from which the sun's direction and the
+// daylight come, and how much snow has settled on the ground and the roofs.
+// Dispatches 'change' ({ state, previousState }) when the weather turns.
+// `options` are the initialWeather, schedule, timeOfDay, dayLength and snowCover
+// settings of the weather group in sceneConfig.js.
+export default class Weather extends THREE.EventDispatcher {
+    constructor(seed, options = {}) {
+        super();
+        this.random = createRandom(hashSeed(seed, 'weather'));
+        this.schedule = (options.schedule ?? []).filter(({ weather, duration }) => {
+            if (!Object.hasOwn(WEATHER_STATES, weather)) {
+                console.warn(`Unknown weather "${weather}" in the weather schedule`);
+                return false;
+            }
+            if (!isValidDuration(duration)) {
+                console.warn(`"${weather}" in the weather schedule has no valid duration; it will last a random time`);
+            }
+            return true;
+        });
+        this.scheduleIndex = 0;
+        this.transitionTime = 20; // Seconds for the weather to ease most of the way to the next state
+        this.dayLength = options.dayLength ?? 1440; // Seconds per 24 hours; 0 stops the clock
+        this.timeOfDay = options.timeOfDay ?? 10; // Hours, 0 to 24
+        this.windAngle = this.random() * Math.PI * 2; // Radians from +Z towards +X the wind blows to
+        this.targetWindAngle = this.windAngle;
+        this.wind = new THREE.Vector3(); // Meters per second, horizontal
+        this.sunDirection = new THREE.Vector3(); // Unit vector towards the sun (or where it is below the horizon)
+        this.daylight = 0; // 0 at night, 1 in full daylight
+        this.time = 0; // Seconds, drives the gusts
+        this.snowCover = THREE.MathUtils.clamp(options.snowCover ?? 0, 0, 1); // 0 = bare ground, 1 = all white
+        this.accumulationRate = 1 / 240; // Snow cover per second at a snowfall of 1
+        this.meltRate = 1 / 600; // Snow cover per second in full, unclouded sunlight
+
+        let initialState = options.initialWeather ?? 'heavySnow';
+        if (this.schedule.length > 0) {
+            initialState = this.schedule[0].weather;
+        } else if (!Object.hasOwn(WEATHER_STATES, initialState)) {
+            console.warn(`Unknown weather "${initialState}"`);
+            initialState = 'heavySnow';
+        }
+        this.state = initialState;
+        this.stateTimer = this.pickDuration(); // Seconds until the weather changes
+        // Start out already settled into the initial weather
+        for (const key of EASED_VALUES) {
+            this[key] = WEATHER_STATES[initialState][key];
+        }
+        this.updateSky();
+        this.updateWind();
+    }
+
+    // How long the current state lasts: the schedule's duration, or a random one
+    // within the state's range if there is no schedule or the entry has no valid duration
+    pickDuration() {
+        const duration = this.schedule[this.scheduleIndex]?.duration;
+        if (this.schedule.length > 0 && isValidDuration(duration)) {
+            return duration;
+        }
+        const [min, max] = WEATHER_STATES[this.state].duration;
+        return min + this.random() * (max - min);
+    }
+
+    // Turn the weather to `state` (a WEATHER_STATES key). It eases in over a few seconds;
+    // `immediate` skips that. Random weather starts a fresh duration; a schedule moves on from here.
+    setState(state, { immediate = false } = {}) {
+        if (!Object.hasOwn(WEATHER_STATES, state)) {
+            console.warn(`Unknown weather "${state}"`);
+            return;
+        }
+        const previousState = this.state;
+        this.state = state;
+        this.stateTimer = this.pickDuration();
+        // Each change of weather brings the wind round from somewhere else
+        this.targetWindAngle = this.windAngle + (this.random() - 0.5) * Math.PI;
+        if (immediate) {
+            for (const key of EASED_VALUES) {
+                this[key] = WEATHER_STATES[state][key];
+            }
+            this.windAngle = this.targetWindAngle;
+            this.updateWind();
+        }
+        if (state !== previousState) {
+            this.dispatchEvent({ type: 'change', state, previousState });
+        }
+    }
+
+    // The next state when the current one runs out
+    nextState() {
+        if (this.schedule.length > 0) {
+            this.scheduleIndex = (this.scheduleIndex + 1) % this.schedule.length;
+            return this.schedule[this.scheduleIndex].weather;
+        }
+        const choices = NEXT_STATES[this.state];
+        return choices[Math.floor(this.random() * choices.length)];
+    }
+
+    setTimeOfDay(hours) {
+        this.timeOfDay = THREE.MathUtils.euclideanModulo(hours, 24);
+        this.updateSky();
+    }
+
+    // The sun rises in the east (-X) at 6:00, is at its highest at noon and sets in the
+    // west at 18:00. It stays a little to the north (+Z), as it does in Buenos Aires.
+    updateSky() {
+        const angle = (this.timeOfDay - 6) / 12 * Math.PI;
+        const height = Math.sin(angle);
+        this.sunDirection.set(-Math.cos(angle), height, 0.5).normalize();
+        this.daylight = THREE.MathUtils.smoothstep(height, -0.1, 0.25);
+    }
+
+    // Wind along windAngle, with slow gusts on top
+    updateWind() {
+        const gust = 1 + 0.3 * Math.sin(this.time * 0.7) * Math.sin(this.time * 0.23 + 2);
+        const speed = this.windStrength * gust;
+        this.wind.set(Math.sin(this.windAngle) * speed, 0, Math.cos(this.windAngle) * speed);
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        this.stateTimer -= deltaTime;
+        if (this.stateTimer <= 0) {
+            this.setState(this.nextState());
+        }
+
+        const target = WEATHER_STATES[this.state];
+        const ease = 1 - Math.exp(-deltaTime / this.transitionTime);
+        for (const key of EASED_VALUES) {
+            this[key] += (target[key] - this[key]) * ease;
+        }
+        this.windAngle += (this.targetWindAngle - this.windAngle) * ease;
+        this.updateWind();
+
+        if (this.dayLength > 0) {
+            this.timeOfDay = (this.timeOfDay + deltaTime / this.dayLength * 24) % 24;
+        }
+        this.updateSky();
+
+        // Snow piles up while it falls and melts slowly in the sun
+        const accumulation = this.snowfall * this.accumulationRate - this.daylight * this.sunlight * this.meltRate;
+        this.snowCover = THREE.MathUtils.clamp(this.snowCover + accumulation * deltaTime, 0, 1);
+    }
+
+    serialize() {
+        return {
+            state: this.state,
+            stateTimer: this.stateTimer,
+            scheduleIndex: this.scheduleIndex,
+            randomState: this.random.getState(),
+            timeOfDay: this.timeOfDay,
+            windAngle: this.windAngle,
+            targetWindAngle: this.targetWindAngle,
+            time: this.time,
+            snowCover: this.snowCover,
+            ...Object.fromEntries(EASED_VALUES.map(key => [key, this[key]]))
+        };
+    }
+
+    // Saves from before the weather existed (null) keep the fresh weather
+    restore(data) {
+        if (!data || !Object.hasOwn(WEATHER_STATES, data.state)) return;
+        this.state = data.state;
+        this.stateTimer = data.stateTimer;
+        // A schedule may have changed since the save; start it over if the index no longer fits
+        this.scheduleIndex = data.scheduleIndex < this.schedule.length ? data.scheduleIndex : 0;
+        this.random.setState(data.randomState);
+        this.timeOfDay = THREE.MathUtils.euclideanModulo(data.timeOfDay, 24);
+        this.windAngle = data.windAngle;
+        this.targetWindAngle = data.targetWindAngle;
+        this.time = data.time;
+        this.snowCover = THREE.MathUtils.clamp(data.snowCover, 0, 1);
+        for (const key of EASED_VALUES) {
+            this[key] = data[key];
+        }
+        this.updateSky();
+        this.updateWind();
+    }
+}
@@ -0,0 +1,101 @@
+import Weather, { WEATHER_STATES } from './Weather';
+
+describe('Weather schedule', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('plays the schedule in order and starts over', () => {
+        const weather = new Weather('schedule', {
+            schedule: [{ weather: 'calm', duration: 10 }, { weather: 'blizzard', duration: 5 }]
+        });
+        const states = [weather.state];
+        for (let i = 0; i < 3; i++) {
+            weather.update(weather.stateTimer + 0.001);
+            states.push(weather.state);
+        }
+
+        expect(states).toEqual(['calm', 'blizzard', 'calm', 'blizzard']);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('drops entries with an unknown weather', () => {
+        const weather = new Weather('schedule', {
+            schedule: [{ weather: 'hail', duration: 10 }, { weather: 'calm', duration: 10 }]
+        });
+
+        expect(weather.schedule).toHaveLength(1);
+        expect(weather.state).toBe('calm');
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        ['no', undefined],
+        ['a zero', 0],
+        ['a negative', -5],
+        ['an infinite', Infinity],
+        ['a text', '30']
+    ])('an entry with %s duration lasts a random time in its range', (description, duration) => {
+        const weather = new Weather('schedule', {
+            schedule: [{ weather: 'blizzard', duration }, { weather: 'calm', duration: 10 }]
+        });
+        const [min, max] = WEATHER_STATES.blizzard.duration;
+
+        expect(console.warn).toHaveBeenCalledTimes(1);
+        expect(weather.stateTimer).toBeGreaterThanOrEqual(min);
+        expect(weather.stateTimer).toBeLessThanOrEqual(max);
+
+        // The weather doesn't freeze: it moves on to the next entry once that time is up
+        weather.update(weather.stateTimer + 0.001);
+        expect(weather.state).toBe('calm');
+        expect(weather.stateTimer).toBe(10);
+    });
+});
+
+describe('Weather state names', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    // Names every object inherits, which are still no kind of weather
+    const INHERITED_NAMES = ['toString', 'constructor', '__proto__'];
+
+    test.each(INHERITED_NAMES)('drops "%s" from the schedule', (name) => {
+        const weather = new Weather('names', {
+            schedule: [{ weather: name, duration: 10 }, { weather: 'calm', duration: 10 }]
+        });
+
+        expect(weather.schedule).toHaveLength(1);
+        expect(weather.state).toBe('calm');
+        expect(weather.snowfall).toBe(WEATHER_STATES.calm.snowfall);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test.each(INHERITED_NAMES)('starts in heavy snow when the initial weather is "%s"', (name) => {
+        const weather = new Weather('names', { initialWeather: name });
+
+        expect(weather.state).toBe('heavySnow');
+        expect(Number.isFinite(weather.stateTimer)).toBe(true);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test.each(INHERITED_NAMES)('ignores setState("%s")', (name) => {
+        const weather = new Weather('names', { initialWeather: 'calm' });
+        const stateTimer = weather.stateTimer;
+
+        weather.setState(name, { immediate: true });
+
+        expect(weather.state).toBe('calm');
+        expect(weather.stateTimer).toBe(stateTimer);
+        expect(weather.fogScale).toBe(WEATHER_STATES.calm.fogScale);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+});
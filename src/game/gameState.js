@@ -0,0 +1,27 @@
+// Top-level game flow. Scene3D keeps the current state in React state and moves
+// it along with these events; an event a state doesn't list leaves it unchanged.
+//
+//   loading  --showTitle--> title     (first start: wait for the player)
+//   loading  --start--> playing       (after new game, restart or load)
+//   title    --start--> playing
+//   playing  --pause--> paused  --resume--> playing
+//   playing  --gameOver--> gameover
+//   paused, gameover --quit--> title
+//   any state but loading --load--> loading   (a new scene is being built)
+//
+// Only 'playing' advances the simulation; every other state keeps rendering a frozen world.
+export const GAME_STATE_TRANSITIONS = Object.freeze({
+    loading: { showTitle: 'title', start: 'playing' },
+    title: { start: 'playing', load: 'loading' },
+    playing: { pause: 'paused', gameOver: 'gameover', load: 'loading' },
+    paused: { resume: 'playing', quit: 'title', load: 'loading' },
+    gameover: { quit: 'title', load: 'loading' }
+});
+
+export const GAME_STATES = Object.freeze(Object.keys(GAME_STATE_TRANSITIONS));
+
+// The state after `event`; shaped as a reducer for React's useReducer
+export function nextGameState(state, event) {
+    const transitions = GAME_STATE_TRANSITIONS[state];
+    return Object.hasOwn(transitions, event) ? transitions[event] : state;
+}
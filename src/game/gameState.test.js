@@ -0,0 +1,37 @@
+import { GAME_STATES, nextGameState } from './gameState';
+
+const EVENTS = ['showTitle', 'start', 'pause', 'resume', 'gameOver', 'quit', 'load'];
+
+// Every allowed transition: [state, event, next state]
+const TRANSITIONS = [
+    ['loading', 'showTitle', 'title'],
+    ['loading', 'start', 'playing'],
+    ['title', 'start', 'playing'],
+    ['title', 'load', 'loading'],
+    ['playing', 'pause', 'paused'],
+    ['playing', 'gameOver', 'gameover'],
+    ['playing', 'load', 'loading'],
+    ['paused', 'resume', 'playing'],
+    ['paused', 'quit', 'title'],
+    ['paused', 'load', 'loading'],
+    ['gameover', 'quit', 'title'],
+    ['gameover', 'load', 'loading']
+];
+
+describe('nextGameState', () => {
+    test.each(TRANSITIONS)('%s --%s--> %s', (state, event, next) => {
+        expect(nextGameState(state, event)).toBe(next);
+    });
+
+    // Every other state and event pair, including events no state knows
+    const ignored = GAME_STATES.flatMap(state => [...EVENTS, 'fly', 'toString'].map(event => [state, event]))
+        .filter(([state, event]) => !TRANSITIONS.some(([from, on]) => from === state && on === event));
+
+    test.each(ignored)('%s ignores %s', (state, event) => {
+        expect(nextGameState(state, event)).toBe(state);
+    });
+
+    test('knows every state', () => {
+        expect([...GAME_STATES].sort()).toEqual(['gameover', 'loading', 'paused', 'playing', 'title']);
+    });
+});
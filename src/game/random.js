@@ -0,0 +1,28 @@
+// Hash any number of seed parts (strings or numbers) into a 32-bit unsigned integer (FNV-1a)
+export function hashSeed(...parts) {
+    const str = parts.join(':');
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32 PRNG, returns a function producing floats in [0, 1) like Math.random.
+// random.getState() and random.setState() save and restore where the sequence is, for save games.
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value >>> 0;
+    };
+    return random;
+}
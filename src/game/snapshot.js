@@ -0,0 +1,127 @@
+import { ENEMY_STATE_ANIMATIONS } from './Enemies';
+import { EASED_VALUES, WEATHER_STATES } from './Weather';
+
+// Save game snapshots: a versioned, JSON-safe description of everything the
+// seed doesn't already determine. The city is rebuilt from the seed, so only
+// the player, enemies, rifle ammo, snow exposure and weather are stored.
+
+// Bump when the snapshot shape changes, and add a migration from the old version below
+export const SNAPSHOT_VERSION = 4;
+
+// Upgrades from version N to N + 1, keyed by N. Each receives a snapshot of
+// version N and returns one of version N + 1.
+const MIGRATIONS = {
+    // Version 2 counts the player's lives; games saved before that had unlimited ones
+    1: (snapshot) => ({
+        ...snapshot,
+        version: 2,
+        player: { ...snapshot.player, livesLeft: null }
+    }),
+    // Version 3 saves the weather and time of day; older games get the weather of a fresh start
+    2: (snapshot) => ({
+        ...snapshot,
+        version: 3,
+        weather: null
+    }),
+    // Version 4 saves how much snow has settled; it starts over from bare ground
+    3: (snapshot) => ({
+        ...snapshot,
+        version: 4,
+        weather: snapshot.weather && { ...snapshot.weather, snowCover: 0 }
+    })
+};
+
+export class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotError';
+    }
+}
+
+// Bring a snapshot from any older version up to SNAPSHOT_VERSION
+export function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw new SnapshotError('Save data is not a snapshot');
+    }
+    if (!Number.isInteger(snapshot.version)) {
+        throw new SnapshotError('Save data has no version');
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new SnapshotError(`Save is from a newer version of the game (${snapshot.version})`);
+    }
+
+    let migrated = snapshot;
+    while (migrated.version < SNAPSHOT_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new SnapshotError(`No migration from save version ${migrated.version}`);
+        }
+        migrated = migrate(migrated);
+    }
+
+    validateSnapshot(migrated);
+    return migrated;
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Numbers the weather picks up from a save as they are
+const WEATHER_NUMBERS = [
+    'stateTimer', 'randomState', 'timeOfDay', 'windAngle', 'targetWindAngle', 'time', 'snowCover', ...EASED_VALUES
+];
+
+// Null is fine too: the game then starts with fresh weather
+function isValidWeather(weather) {
+    if (weather === null || weather === undefined) return true;
+    return typeof weather === 'object' &&
+        Object.hasOwn(WEATHER_STATES, weather.state) &&
+        Number.isInteger(weather.scheduleIndex) &&
+        WEATHER_NUMBERS.every(key => Number.isFinite(weather[key]));
+}
+
+// Numbers each enemy picks up from a save as they are
+const ENEMY_NUMBERS = [
+    'stateTimer', 'moveSpeed', 'health', 'attackCooldown', 'timeWithoutSight', 'wanderTimer', 'wanderInterval', 'rotationY'
+];
+
+function isValidEnemy(enemy) {
+    return Boolean(enemy) &&
+        Number.isInteger(enemy.id) &&
+        Object.hasOwn(ENEMY_STATE_ANIMATIONS, enemy.state) &&
+        isVector(enemy.position) &&
+        isVector(enemy.spawnPosition) &&
+        (enemy.targetPosition === null || isVector(enemy.targetPosition)) &&
+        ENEMY_NUMBERS.every(key => Number.isFinite(enemy[key]));
+}
+
+// New enemies are numbered from nextId on, so it has to be past every saved one
+function isValidEnemyList(enemies) {
+    return Boolean(enemies) &&
+        Number.isInteger(enemies.nextId) &&
+        Number.isFinite(enemies.randomState) &&
+        Array.isArray(enemies.enemies) &&
+        enemies.enemies.every(enemy => isValidEnemy(enemy) && enemy.id < enemies.nextId);
+}
+
+// Check the parts that would break the simulation if they were missing or malformed
+export function validateSnapshot(snapshot) {
+    const { seed, player, enemies, rifle, exposure, weather } = snapshot;
+    if (typeof seed !== 'string' || seed === '') {
+        throw new SnapshotError('Save has no world seed');
+    }
+    if (!player || !isVector(player.position) || !isVector(player.checkpoint) ||
+        !Number.isFinite(player.rotationY) || !Number.isFinite(player.health)) {
+        throw new SnapshotError('Save has no valid player');
+    }
+    if (!isValidEnemyList(enemies)) {
+        throw new SnapshotError('Save has no valid enemy list');
+    }
+    if (!rifle || !Number.isFinite(rifle.ammo) || !Number.isFinite(rifle.reserveAmmo) || !exposure || !Number.isFinite(exposure.exposure)) {
+        throw new SnapshotError('Save has no valid rifle or exposure state');
+    }
+    if (!isValidWeather(weather)) {
+        throw new SnapshotError('Save has no valid weather');
+    }
+}
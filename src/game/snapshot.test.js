@@ -0,0 +1,174 @@
+import Simulation from './Simulation';
+import { SNAPSHOT_VERSION, SnapshotError, migrateSnapshot } from './snapshot';
+
+// Saves as each old version of the game wrote them
+function createV1Save() {
+    return {
+        version: 1,
+        savedAt: '2024-01-01T12:00:00.000Z',
+        seed: 'old save',
+        time: 42,
+        player: {
+            position: [10, 2, -5],
+            rotationY: 1.5,
+            health: 80,
+            isDead: false,
+            deathTimer: 0,
+            isAiming: false,
+            checkpoint: [0, 2, 0],
+            hasProtectiveSuit: false
+        },
+        enemies: {
+            nextId: 3,
+            randomState: 12345,
+            enemies: [
+                {
+                    id: 2,
+                    state: 'chase',
+                    stateTimer: 1,
+                    position: [20, 2, 0],
+                    spawnPosition: [25, 2, 0],
+                    targetPosition: null,
+                    moveSpeed: 3,
+                    health: 100,
+                    attackCooldown: 0,
+                    timeWithoutSight: 0,
+                    wanderTimer: 0,
+                    wanderInterval: 4,
+                    rotationY: 0
+                }
+            ]
+        },
+        rifle: { ammo: 7, reserveAmmo: 30 },
+        exposure: { exposure: 0.25 }
+    };
+}
+
+function createV2Save() {
+    const save = createV1Save();
+    return { ...save, version: 2, player: { ...save.player, livesLeft: 2 } };
+}
+
+function createV3Save() {
+    return {
+        ...createV2Save(),
+        version: 3,
+        weather: {
+            state: 'blizzard',
+            stateTimer: 30,
+            scheduleIndex: 0,
+            randomState: 678,
+            timeOfDay: 18.5,
+            windAngle: 1,
+            targetWindAngle: 1.2,
+            time: 42,
+            snowfall: 2,
+            windStrength: 9,
+            fogScale: 2.2,
+            visibility: 0.45,
+            sunlight: 0.35,
+            whiteout: 0.45
+        }
+    };
+}
+
+describe('migrateSnapshot', () => {
+    test('brings a version 1 save up to date with unlimited lives and fresh weather', () => {
+        const migrated = migrateSnapshot(createV1Save());
+
+        expect(migrated.version).toBe(SNAPSHOT_VERSION);
+        expect(migrated.player.livesLeft).toBeNull();
+        expect(migrated.weather).toBeNull();
+        expect(migrated.player.position).toEqual([10, 2, -5]);
+    });
+
+    test('keeps the lives of a version 2 save', () => {
+        const migrated = migrateSnapshot(createV2Save());
+
+        expect(migrated.version).toBe(SNAPSHOT_VERSION);
+        expect(migrated.player.livesLeft).toBe(2);
+        expect(migrated.weather).toBeNull();
+    });
+
+    test('keeps the weather of a version 3 save, on bare ground', () => {
+        const migrated = migrateSnapshot(createV3Save());
+
+        expect(migrated.version).toBe(SNAPSHOT_VERSION);
+        expect(migrated.weather).toMatchObject({ state: 'blizzard', timeOfDay: 18.5, snowCover: 0 });
+    });
+
+    test('old saves load into a running simulation', () => {
+        for (const save of [createV1Save(), createV2Save(), createV3Save()]) {
+            const simulation = Simulation.fromSnapshot(save);
+            expect(simulation.seed).toBe('old save');
+            expect(simulation.player.health).toBe(80);
+            expect(simulation.enemies.enemies.get(2).state).toBe('chase');
+        }
+    });
+
+    test('a current save passes through unchanged', () => {
+        const snapshot = new Simulation({ seed: 'current' }).serialize();
+        expect(migrateSnapshot(snapshot)).toBe(snapshot);
+    });
+});
+
+// The save with some of its one enemy's fields replaced
+function withEnemy(save, fields) {
+    return { ...save, enemies: { ...save.enemies, enemies: [{ ...save.enemies.enemies[0], ...fields }] } };
+}
+
+describe('migrateSnapshot rejects malformed saves', () => {
+    // Each case breaks one thing in an otherwise valid save
+    const cases = [
+        ['not an object', () => 'save'],
+        ['no version', save => ({ ...save, version: undefined })],
+        ['a newer version', save => ({ ...save, version: SNAPSHOT_VERSION + 1 })],
+        ['a version with no migration', save => ({ ...save, version: 0 })],
+        ['no seed', save => ({ ...save, seed: '' })],
+        ['no player', save => ({ ...save, player: null })],
+        ['a player position that is not a vector', save => ({ ...save, player: { ...save.player, position: [1, 2] } })],
+        ['a missing checkpoint', save => ({ ...save, player: { ...save.player, checkpoint: undefined } })],
+        ['a player rotation that is not a number', save => ({ ...save, player: { ...save.player, rotationY: '1.5' } })],
+        ['a missing player rotation', save => ({ ...save, player: { ...save.player, rotationY: undefined } })],
+        ['health that is not a number', save => ({ ...save, player: { ...save.player, health: NaN } })],
+        ['no enemy list', save => ({ ...save, enemies: { ...save.enemies, enemies: null } })],
+        ['an enemy without a position', save => ({ ...save, enemies: { ...save.enemies, enemies: [{ state: 'wander' }] } })],
+        ['an unknown enemy state', save => withEnemy(save, { state: 'dancing' })],
+        ['an inherited property as an enemy state', save => withEnemy(save, { state: 'toString' })],
+        ['an enemy without a spawn position', save => withEnemy(save, { spawnPosition: undefined })],
+        ['an enemy whose target is not a vector', save => withEnemy(save, { targetPosition: 5 })],
+        ['an enemy without an id', save => withEnemy(save, { id: undefined })],
+        ['an enemy whose timer is not a number', save => withEnemy(save, { wanderTimer: null })],
+        ['no next enemy id', save => ({ ...save, enemies: { ...save.enemies, nextId: undefined } })],
+        ['a next enemy id already taken', save => ({ ...save, enemies: { ...save.enemies, nextId: 2 } })],
+        ['no enemy random state', save => ({ ...save, enemies: { ...save.enemies, randomState: '12345' } })],
+        ['no rifle', save => ({ ...save, rifle: undefined })],
+        ['no reserve ammo', save => ({ ...save, rifle: { ammo: 7 } })],
+        ['exposure that is not a number', save => ({ ...save, exposure: { exposure: null } })]
+    ];
+
+    test.each(cases)('%s', (description, breakSave) => {
+        expect(() => migrateSnapshot(breakSave(createV1Save()))).toThrow(SnapshotError);
+    });
+
+    // The same for the weather, which saves only have from version 3 on
+    const weatherCases = [
+        ['weather that is not an object', () => 'blizzard'],
+        ['an unknown weather state', weather => ({ ...weather, state: 'hail' })],
+        ['a weather timer that is not a number', weather => ({ ...weather, stateTimer: undefined })],
+        ['a schedule position that is not a whole number', weather => ({ ...weather, scheduleIndex: 0.5 })],
+        ['a time of day that is not a number', weather => ({ ...weather, timeOfDay: '18:30' })],
+        ['an eased value that is not finite', weather => ({ ...weather, fogScale: Infinity })]
+    ];
+
+    test.each(weatherCases)('%s', (description, breakWeather) => {
+        const save = createV3Save();
+        expect(() => migrateSnapshot({ ...save, weather: breakWeather(save.weather) })).toThrow(SnapshotError);
+    });
+
+    test('snow cover that is not a number', () => {
+        const snapshot = new Simulation({ seed: 'current' }).serialize();
+        snapshot.weather.snowCover = NaN;
+        expect(() => migrateSnapshot(snapshot)).toThrow(SnapshotError);
+    });
+});
@@ -0,0 +1,156 @@
+// Rebindable controls. Every control maps to an InputController action; the two
+// halves of an axis (e.g. forward and backward) are separate controls so each can
+// get its own key. Bindings are stored per device as control id -> key code
+// (keyboard) or button index (gamepad, standard mapping).
+
+const STORAGE_KEY = 'eternauta.bindings';
+const CONTROL_MODE_STORAGE_KEY = 'eternauta.controlMode';
+
+// Control schemes: 'tank' turns with the turn keys and keeps the camera behind;
+// 'mouseLook' aims the camera with the mouse (or right stick) and the turn keys strafe
+export const CONTROL_MODES = ['tank', 'mouseLook'];
+
+export const CONTROLS = [
+    { id: 'moveForward', label: 'Move forward', action: 'moveForward', value: 1 },
+    { id: 'moveBackward', label: 'Move backward', action: 'moveForward', value: -1 },
+    { id: 'turnLeft', label: 'Turn/strafe left', action: 'turn', value: 1 },
+    { id: 'turnRight', label: 'Turn/strafe right', action: 'turn', value: -1 },
+    { id: 'jump', label: 'Jump', action: 'jump' },
+    { id: 'aim', label: 'Raise/lower rifle', action: 'aim' },
+    { id: 'fire', label: 'Fire', action: 'fire' },
+    { id: 'reload', label: 'Reload', action: 'reload' },
+    { id: 'controlMode', label: 'Switch tank/mouse-look', action: 'controlMode' },
+    { id: 'shoulderSwap', label: 'Swap aiming shoulder', action: 'shoulderSwap' },
+    { id: 'firstPerson', label: 'Toggle first person', action: 'firstPerson' },
+    { id: 'debug', label: 'Toggle debug mode', action: 'debug' },
+    { id: 'mute', label: 'Mute audio', action: 'mute' }
+];
+
+export const DEFAULT_BINDINGS = {
+    keyboard: {
+        moveForward: 'KeyW',
+        moveBackward: 'KeyS',
+        turnLeft: 'KeyA',
+        turnRight: 'KeyD',
+        jump: 'Space',
+        aim: 'KeyE',
+        fire: 'KeyF',
+        reload: 'KeyR',
+        controlMode: 'KeyV',
+        shoulderSwap: 'KeyQ',
+        firstPerson: 'KeyT',
+        debug: 'KeyC',
+        mute: 'KeyM'
+    },
+    gamepad: {
+        moveForward: 12, // D-pad; the left stick always moves and turns as well
+        moveBackward: 13,
+        turnLeft: 14,
+        turnRight: 15,
+        jump: 0, // A
+        aim: 6, // Left trigger
+        fire: 7, // Right trigger
+        reload: 2, // X
+        controlMode: 11, // Right stick press
+        shoulderSwap: 4, // LB
+        firstPerson: 3, // Y
+        debug: 8, // Back/View
+        mute: 5 // RB
+    }
+};
+
+// Names for the standard gamepad mapping's buttons
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+export function cloneBindings(bindings) {
+    return {
+        keyboard: { ...bindings.keyboard },
+        gamepad: { ...bindings.gamepad }
+    };
+}
+
+// Load the saved bindings, falling back to the defaults for anything missing or unreadable
+export function loadBindings() {
+    const bindings = cloneBindings(DEFAULT_BINDINGS);
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (saved) {
+            for (const { id } of CONTROLS) {
+                if (typeof saved.keyboard?.[id] === 'string') bindings.keyboard[id] = saved.keyboard[id];
+                if (Number.isInteger(saved.gamepad?.[id])) bindings.gamepad[id] = saved.gamepad[id];
+            }
+        }
+    } catch (error) {
+        console.error('Error loading control bindings:', error);
+    }
+    return bindings;
+}
+
+export function saveBindings(bindings) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.error('Error saving control bindings:', error);
+    }
+}
+
+export function clearSavedBindings() {
+    try {
+        window.localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Error clearing control bindings:', error);
+    }
+}
+
+// The control mode the player last picked, or `fallback` if they never picked one
+export function loadControlMode(fallback = 'tank') {
+    try {
+        const saved = window.localStorage.getItem(CONTROL_MODE_STORAGE_KEY);
+        if (CONTROL_MODES.includes(saved)) return saved;
+    } catch (error) {
+        console.error('Error loading control mode:', error);
+    }
+    return CONTROL_MODES.includes(fallback) ? fallback : 'tank';
+}
+
+export function saveControlMode(mode) {
+    try {
+        window.localStorage.setItem(CONTROL_MODE_STORAGE_KEY, mode);
+    } catch (error) {
+        console.error('Error saving control mode:', error);
+    }
+}
+
+// The control already using a key or button on a device, if any
+export function findConflict(bindings, device, code, exceptId) {
+    return CONTROLS.find(({ id }) => id !== exceptId && bindings[device][id] === code) || null;
+}
+
+// Bind a control, giving the control it conflicts with (if any) the old binding in exchange.
+// Returns the new bindings and the control that was swapped.
+export function rebind(bindings, device, controlId, code) {
+    const next = cloneBindings(bindings);
+    const conflict = findConflict(bindings, device, code, controlId);
+    if (conflict) {
+        next[device][conflict.id] = bindings[device][controlId];
+    }
+    next[device][controlId] = code;
+    return { bindings: next, swapped: conflict };
+}
+
+// Human-readable name for a KeyboardEvent.code
+export function formatKey(code) {
+    if (!code) return 'Unbound';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`;
+    return code.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+export function formatGamepadButton(index) {
+    if (index === undefined || index === null) return 'Unbound';
+    return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+}
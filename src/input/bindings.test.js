@@ -0,0 +1,88 @@
+import {
+    DEFAULT_BINDINGS,
+    clearSavedBindings,
+    findConflict,
+    loadBindings,
+    rebind,
+    saveBindings
+} from './bindings';
+
+afterEach(() => {
+    window.localStorage.clear();
+});
+
+describe('findConflict', () => {
+    test('reports the control already using a key', () => {
+        expect(findConflict(DEFAULT_BINDINGS, 'keyboard', 'KeyW').id).toBe('moveForward');
+        expect(findConflict(DEFAULT_BINDINGS, 'gamepad', 0).id).toBe('jump');
+    });
+
+    test('is null for a free key or the control being rebound itself', () => {
+        expect(findConflict(DEFAULT_BINDINGS, 'keyboard', 'KeyZ')).toBeNull();
+        expect(findConflict(DEFAULT_BINDINGS, 'keyboard', 'KeyW', 'moveForward')).toBeNull();
+    });
+});
+
+describe('rebind', () => {
+    test('binds a free key without touching any other control', () => {
+        const { bindings, swapped } = rebind(DEFAULT_BINDINGS, 'keyboard', 'jump', 'KeyZ');
+
+        expect(swapped).toBeNull();
+        expect(bindings.keyboard).toEqual({ ...DEFAULT_BINDINGS.keyboard, jump: 'KeyZ' });
+        expect(bindings.gamepad).toEqual(DEFAULT_BINDINGS.gamepad);
+    });
+
+    test('swaps keys with the control a key is already used by', () => {
+        const { bindings, swapped } = rebind(DEFAULT_BINDINGS, 'keyboard', 'jump', 'KeyW');
+
+        expect(swapped.id).toBe('moveForward');
+        expect(bindings.keyboard.jump).toBe('KeyW');
+        expect(bindings.keyboard.moveForward).toBe('Space');
+        // No key is left bound twice
+        const keys = Object.values(bindings.keyboard);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    test('leaves the bindings it was given alone', () => {
+        rebind(DEFAULT_BINDINGS, 'gamepad', 'fire', 0);
+        expect(DEFAULT_BINDINGS.gamepad.fire).toBe(7);
+        expect(DEFAULT_BINDINGS.gamepad.jump).toBe(0);
+    });
+});
+
+describe('saved bindings', () => {
+    test('a rebind survives saving and loading again', () => {
+        const { bindings } = rebind(DEFAULT_BINDINGS, 'keyboard', 'jump', 'KeyW');
+        const { bindings: withGamepad } = rebind(bindings, 'gamepad', 'reload', 1);
+        saveBindings(withGamepad);
+
+        expect(loadBindings()).toEqual(withGamepad);
+    });
+
+    test('falls back to the defaults when nothing or nothing readable is saved', () => {
+        expect(loadBindings()).toEqual(DEFAULT_BINDINGS);
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        window.localStorage.setItem('eternauta.bindings', '{not json');
+        expect(loadBindings()).toEqual(DEFAULT_BINDINGS);
+        console.error.mockRestore();
+    });
+
+    test('keeps the defaults for controls missing from the save or saved with the wrong type', () => {
+        window.localStorage.setItem('eternauta.bindings', JSON.stringify({
+            keyboard: { jump: 'KeyZ', fire: 5 },
+            gamepad: { fire: 'RT' }
+        }));
+
+        const bindings = loadBindings();
+        expect(bindings.keyboard).toEqual({ ...DEFAULT_BINDINGS.keyboard, jump: 'KeyZ' });
+        expect(bindings.gamepad).toEqual(DEFAULT_BINDINGS.gamepad);
+    });
+
+    test('clearing the save brings the defaults back', () => {
+        saveBindings(rebind(DEFAULT_BINDINGS, 'keyboard', 'jump', 'KeyZ').bindings);
+        clearSavedBindings();
+
+        expect(loadBindings()).toEqual(DEFAULT_BINDINGS);
+    });
+});
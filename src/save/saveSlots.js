@@ -0,0 +1,82 @@
+import { migrateSnapshot } from '../game/snapshot';
+
+// Save slots kept in localStorage, plus export/import of snapshots as JSON files.
+// Snapshots are stored exactly as Simulation.serialize() produced them; they are
+// migrated when loaded, so saves from older versions keep working.
+
+const STORAGE_PREFIX = 'eternauta.save.';
+
+export const SAVE_SLOTS = [
+    { id: 'autosave', label: 'Autosave' },
+    { id: 'slot1', label: 'Slot 1' },
+    { id: 'slot2', label: 'Slot 2' },
+    { id: 'slot3', label: 'Slot 3' }
+];
+
+export function writeSave(slotId, snapshot) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + slotId, JSON.stringify(snapshot));
+        return true;
+    } catch (error) {
+        console.error(`Error writing save slot ${slotId}:`, error);
+        return false;
+    }
+}
+
+// The snapshot in a slot, migrated to the current version, or null if it is empty or unreadable
+export function readSave(slotId) {
+    try {
+        const json = window.localStorage.getItem(STORAGE_PREFIX + slotId);
+        return json ? migrateSnapshot(JSON.parse(json)) : null;
+    } catch (error) {
+        console.error(`Error reading save slot ${slotId}:`, error);
+        return null;
+    }
+}
+
+export function deleteSave(slotId) {
+    try {
+        window.localStorage.removeItem(STORAGE_PREFIX + slotId);
+    } catch (error) {
+        console.error(`Error deleting save slot ${slotId}:`, error);
+    }
+}
+
+// Every slot with a short description of what it holds (null when empty)
+export function listSaves() {
+    return SAVE_SLOTS.map(({ id, label }) => {
+        const snapshot = readSave(id);
+        return {
+            id,
+            label,
+            summary: snapshot && {
+                seed: snapshot.seed,
+                savedAt: snapshot.savedAt,
+                health: snapshot.player.health
+            }
+        };
+    });
+}
+
+// Offer a snapshot as a .json download
+export function exportSnapshot(snapshot) {
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `eternauta-${snapshot.seed}-${snapshot.savedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Read a snapshot from a File picked by the user. Rejects if it isn't a usable save.
+export async function importSnapshotFile(file) {
+    const text = await file.text();
+    let snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file.name} is not a JSON file`);
+    }
+    return migrateSnapshot(snapshot);
+}